@@ -1,5 +1,5 @@
 const obsidian = require('obsidian');
-const { Plugin, PluginSettingTab, Setting, SuggestModal, Notice } = obsidian;
+const { Plugin, PluginSettingTab, Setting, SuggestModal, Modal, ItemView, Notice, TFile, TFolder } = obsidian;
 // Import requestUrl safely (may not be available in all Obsidian versions)
 let requestUrl;
 try {
@@ -20,7 +20,9 @@ try {
  * Identified Risks:
  * 1. Remote content injection: API responses written directly to notes without sanitization
  *    - Risk: dataviewjs code blocks, HTML <script> tags, executable code
- *    - Mitigation: Sanitize output before writing (strip dangerous code blocks, HTML tags)
+ *    - Mitigation: Sanitize output before writing: code fences kept only for allowlisted
+ *      languages, HTML reduced to allowlisted tags/attributes, URL schemes allowlisted,
+ *      Dataview inline queries and Templater commands removed (test_from_injection.js)
  *
  * 2. License key exposure: Visible in plain text in settings UI
  *    - Risk: Shoulder surfing, screen sharing, accidental exposure
@@ -28,7 +30,9 @@ try {
  *
  * 3. Origin context leakage: Full note content sent to remote API
  *    - Risk: Privacy concern, but intentional for functionality
- *    - Mitigation: Document clearly in README what data is sent
+ *    - Mitigation: Document clearly in README what data is sent; redact configured
+ *      frontmatter keys, %%private%% blocks, private callouts and pattern matches
+ *      (e-mail, phone, API keys, IBAN) and skip excluded folders before building the prompt
  *
  * 4. Runaway retries: Retry logic could loop indefinitely
  *    - Risk: Infinite API calls, resource exhaustion
@@ -48,13 +52,299 @@ try {
  * - Reduce sensitive logging (truncate error bodies)
  */
 
+// Supported LLM providers. "openai" and "anthropic" formats describe the wire protocol;
+// local servers (Ollama, llama.cpp) expose the OpenAI-compatible chat completions route.
+// `embeddings` marks providers that also serve the /embeddings route used by vault retrieval.
+const PROVIDERS = {
+  copilot: {
+    label: 'Copilot (Brevilabs)',
+    format: 'openai',
+    baseUrl: 'https://api.brevilabs.com/v1',
+    model: 'copilot-plus-flash',
+    maxTokens: 0,
+    requiresKey: true,
+    embeddings: false,
+    price: { input: 0, output: 0 }, // Per million tokens; covered by the license
+  },
+  openai: {
+    label: 'OpenAI-compatible',
+    format: 'openai',
+    baseUrl: 'https://api.openai.com/v1',
+    model: 'gpt-4o-mini',
+    maxTokens: 1024,
+    requiresKey: true,
+    embeddings: true,
+    price: { input: 0.15, output: 0.6 },
+  },
+  anthropic: {
+    label: 'Anthropic',
+    format: 'anthropic',
+    baseUrl: 'https://api.anthropic.com/v1',
+    model: 'claude-3-5-haiku-latest',
+    maxTokens: 1024,
+    requiresKey: true,
+    embeddings: false,
+    price: { input: 0.8, output: 4 },
+  },
+  local: {
+    label: 'Local (Ollama / llama.cpp)',
+    format: 'openai',
+    baseUrl: 'http://localhost:11434/v1',
+    model: 'llama3.1',
+    maxTokens: 1024,
+    requiresKey: false,
+    embeddings: true,
+    price: { input: 0, output: 0 },
+  },
+};
+
+// Built-in definition template, used when no template note is configured.
+// %% comment blocks %% are prompt-only instructions: sent to the model, dropped from
+// the offline fallback. A bullet/quote/value written as "(…)" is guidance for the
+// model and becomes "<pending>" in the fallback.
+const DEFAULT_TEMPLATE = `%%
+Role: Create a precise, context-grounded definition for [[{{term}}]] using ONLY the originating note context. Do not invent sources, citations, or external facts.
+
+Output rules (strict):
+- Total length: 180–260 words (excluding quotes).
+- Bullets: max 4 per list.
+- Use plain Markdown only. No HTML. No code blocks.
+- If context is insufficient, say so and ask for what's missing in 1 sentence.
+
+Output format (exact headings; no extra sections):
+%%
+---
+aliases: ["{{term}}"]
+tags: ["wiki", "auto"]
+origin: "{{origin}}"
+generated: true
+confidence: "(0-100)"
+sense: "(one short phrase)"
+---
+
+## Term - The term being defined: [[{{term}}]]
+
+## One-Sentence Definition
+- (≤25 words)
+
+## Key Points
+- (3–4 bullets; each ≤12 words)
+
+## Example / Use (In this note's domain)
+- (1–2 bullets; concrete)
+
+## Boundaries (Not to confuse with)
+- (2 bullets; near-misses)
+
+## Related Concepts
+- (3–6 items; prefer [[wiki links]] when appropriate)
+
+## Source Context (From the Note)
+- From: {{origin}}
+> (Quote EXACTLY 1–2 lines copied from the provided context. No paraphrase.)
+
+## Self-check
+- (One question that tests understanding in this context.)
+
+Originating note context:
+{{context}}`;
+
+// Words too common to help lexical retrieval
+const STOPWORDS = new Set(('a an and are as at be by for from has have in is it its of on or that the this to was were which with '
+  + 'der die das und ist ein eine zu von mit le la les des et est un une de du el los las y en que').split(' '));
+
+// Languages definitions can be written in. `headings` are the built-in template's section
+// headings (keyed by section) and `from` the label of the Source Context origin line; notes in
+// any of these languages are recognized whatever the current setting. `words` are frequent
+// function words used to detect the language of an origin note.
+const LANGUAGES = {
+  en: {
+    name: 'English',
+    headings: {
+      term: 'Term - The term being defined:',
+      definition: 'One-Sentence Definition',
+      keyPoints: 'Key Points',
+      example: "Example / Use (In this note's domain)",
+      boundaries: 'Boundaries (Not to confuse with)',
+      related: 'Related Concepts',
+      source: 'Source Context (From the Note)',
+      selfCheck: 'Self-check',
+      translation: 'Translation',
+    },
+    from: 'From',
+    question: 'What is {{term}}?',
+    words: 'the and is are of to in that it with for this was be not',
+  },
+  de: {
+    name: 'Deutsch',
+    headings: {
+      term: 'Begriff - Der definierte Begriff:',
+      definition: 'Definition in einem Satz',
+      keyPoints: 'Kernpunkte',
+      example: 'Beispiel / Verwendung (Im Kontext dieser Notiz)',
+      boundaries: 'Abgrenzung (Nicht zu verwechseln mit)',
+      related: 'Verwandte Begriffe',
+      source: 'Quellkontext (Aus der Notiz)',
+      selfCheck: 'Selbsttest',
+      translation: 'Übersetzung',
+    },
+    from: 'Aus',
+    question: 'Was ist {{term}}?',
+    words: 'der die das und ist sind nicht mit ein eine für auf dem den sich auch',
+  },
+  fr: {
+    name: 'Français',
+    headings: {
+      term: 'Terme - Le terme défini :',
+      definition: 'Définition en une phrase',
+      keyPoints: 'Points clés',
+      example: 'Exemple / Usage (Dans le domaine de cette note)',
+      boundaries: 'Limites (À ne pas confondre avec)',
+      related: 'Concepts liés',
+      source: 'Contexte source (Tiré de la note)',
+      selfCheck: 'Auto-évaluation',
+      translation: 'Traduction',
+    },
+    from: 'Source',
+    question: "Qu'est-ce que {{term}} ?",
+    words: 'le la les et est des une du pour que dans pas sur avec ce qui sont',
+  },
+  es: {
+    name: 'Español',
+    headings: {
+      term: 'Término - El término que se define:',
+      definition: 'Definición en una frase',
+      keyPoints: 'Puntos clave',
+      example: 'Ejemplo / Uso (En el dominio de esta nota)',
+      boundaries: 'Límites (No confundir con)',
+      related: 'Conceptos relacionados',
+      source: 'Contexto de origen (De la nota)',
+      selfCheck: 'Autoevaluación',
+      translation: 'Traducción',
+    },
+    from: 'De',
+    question: '¿Qué es {{term}}?',
+    words: 'el los las y es son del una por que para con se como más pero',
+  },
+  it: {
+    name: 'Italiano',
+    headings: {
+      term: 'Termine - Il termine definito:',
+      definition: 'Definizione in una frase',
+      keyPoints: 'Punti chiave',
+      example: 'Esempio / Uso (Nel dominio di questa nota)',
+      boundaries: 'Confini (Da non confondere con)',
+      related: 'Concetti correlati',
+      source: 'Contesto di origine (Dalla nota)',
+      selfCheck: 'Autoverifica',
+      translation: 'Traduzione',
+    },
+    from: 'Da',
+    question: "Che cos'è {{term}}?",
+    words: 'il lo gli e è della che per una non con del sono nel alla anche',
+  },
+  pt: {
+    name: 'Português',
+    headings: {
+      term: 'Termo - O termo definido:',
+      definition: 'Definição em uma frase',
+      keyPoints: 'Pontos-chave',
+      example: 'Exemplo / Uso (No domínio desta nota)',
+      boundaries: 'Limites (Não confundir com)',
+      related: 'Conceitos relacionados',
+      source: 'Contexto de origem (Da nota)',
+      selfCheck: 'Autoavaliação',
+      translation: 'Tradução',
+    },
+    from: 'De',
+    question: 'O que é {{term}}?',
+    words: 'o os as e é do da uma que para com não em dos das mais',
+  },
+};
+
+// "- From:" line of a Source Context section, in any supported language
+const FROM_LINE = new RegExp(`^-\\s*(?:${[...new Set(Object.values(LANGUAGES).map((l) => l.from))].join('|')})\\s*:`, 'i');
+
+const QUEUE_VIEW_TYPE = 'contextual-wiki-definitions-queue';
+const HISTORY_VIEW_TYPE = 'contextual-wiki-definitions-history';
+const USAGE_VIEW_TYPE = 'contextual-wiki-definitions-usage';
+const STALE_VIEW_TYPE = 'contextual-wiki-definitions-stale';
+// Markers around the list the plugin maintains in the glossary index note
+const GLOSSARY_INDEX_START = '%% glossary-index:start %%';
+const GLOSSARY_INDEX_END = '%% glossary-index:end %%';
+
 module.exports = class ContextualWikiDefinitions extends Plugin {
   async onload() {
     await this.loadSettings();
     this.previousFile = this.app.workspace.getActiveFile();
     this._recentlyProcessed = new Set();
-    this._attemptCounts = new Map();
-    this._inFlightGenerations = new Set(); // Track files currently being generated
+    this._inFlightGenerations = new Set(); // Files whose file-open check is still pending
+    this._activeStreams = new Set(); // AbortControllers of running streamed generations
+    this._requestTimes = []; // Start times of recent API requests (rate limiting)
+    this._staleTimers = new Map(); // origin path -> pending staleness check
+    this._hoverDefinitions = new Map(); // "origin path\0term" -> Promise of a one-sentence definition
+    this._senseLists = new Map(); // "origin path\0term" -> Promise of the senses the model proposed
+    this._cooldowns = new Map(); // provider -> timestamp until which it is rate limited
+    this._statusBarEl = this.addStatusBarItem();
+    this._statusBarEl.hide();
+
+    // Central generation queue; jobs persist across restarts
+    this.queue = new GenerationQueue(this);
+    await this.queue.load();
+    this.registerView(QUEUE_VIEW_TYPE, (leaf) => new GenerationQueueView(leaf, this));
+
+    // Token and cost accounting for every API request
+    this.usage = new UsageLedger(this);
+    await this.usage.load();
+    this.registerView(USAGE_VIEW_TYPE, (leaf) => new UsageStatsView(leaf, this));
+
+    // Every written definition is kept in history.json so earlier versions can be restored
+    this.history = new DefinitionHistory(this);
+    await this.history.load();
+    this.registerView(HISTORY_VIEW_TYPE, (leaf) => new DefinitionHistoryView(leaf, this));
+    this.registerEvent(this.app.vault.on('rename', (file, oldPath) => this.history.rename(oldPath, file.path)));
+    this.registerEvent(this.app.vault.on('delete', (file) => this.history.remove(file.path)));
+    this.app.workspace.onLayoutReady(() => {
+      this.queue.pump();
+      // Offline notes from an earlier session don't wait for the next successful generation
+      this._upgradeOfflineNotes();
+    });
+
+    // Optional vault-wide retrieval index, kept in sync with the vault once the layout is ready
+    // (the vault fires "create" for every file during startup)
+    this.retrieval = new RetrievalIndex(this);
+    await this.retrieval.load();
+    this.app.workspace.onLayoutReady(() => {
+      const isNote = (file) => file instanceof TFile && file.extension === 'md';
+      this.registerEvent(this.app.vault.on('create', (file) => { if (isNote(file)) this.retrieval.queueFile(file); }));
+      this.registerEvent(this.app.vault.on('modify', (file) => { if (isNote(file)) this.retrieval.queueFile(file); }));
+      this.registerEvent(this.app.vault.on('rename', (file, oldPath) => { if (isNote(file)) this.retrieval.rename(file, oldPath); }));
+      this.registerEvent(this.app.vault.on('delete', (file) => this.retrieval.remove(file.path)));
+      this.retrieval.sync();
+    });
+
+    // Glossary index note, patched entry by entry as definitions change. Changed notes are
+    // also checked as origins: definitions generated from them may have become stale
+    this.glossaryIndex = new GlossaryIndex(this);
+    this.originMap = new OriginMap(this);
+    this.flashcards = new FlashcardExporter(this);
+    this.registerView(STALE_VIEW_TYPE, (leaf) => new StaleDefinitionsView(leaf, this));
+    this.app.workspace.onLayoutReady(() => {
+      this.originMap.build();
+      this.registerEvent(this.app.metadataCache.on('changed', (file) => {
+        this.glossaryIndex.queueFile(file);
+        this.originMap.update(file);
+        this._queueStaleCheck(file);
+      }));
+      this.registerEvent(this.app.vault.on('rename', (file, oldPath) => {
+        this.glossaryIndex.rename(file, oldPath);
+        this.originMap.rename(file, oldPath);
+      }));
+      this.registerEvent(this.app.vault.on('delete', (file) => {
+        this.glossaryIndex.remove(file.path);
+        this.originMap.remove(file.path);
+      }));
+    });
 
     this.registerEvent(
       this.app.workspace.on('file-open', async (file) => {
@@ -73,96 +363,53 @@ module.exports = class ContextualWikiDefinitions extends Plugin {
         }
 
         // SECURITY FIX: Prevent double generation with in-flight lock
-        if (this._inFlightGenerations.has(file.path)) {          // #endregion
+        if (this._inFlightGenerations.has(file.path) || this.queue.hasActive(file.path)) {
           return;
-        }        this._inFlightGenerations.add(file.path);
+        }
+        const lockPath = file.path; // The note may be moved into the glossary folder below
+        this._inFlightGenerations.add(lockPath);
 
         // Defer slightly to let other plugins (e.g., Templater) run first
         setTimeout(async () => {
           try {
-            const stat = file.stat;
             const raw = await this.app.vault.read(file);
             const content = (raw || '').trim();
-            const looksEmpty = !content || content.length < 10;
-            const templaterError = /templater/i.test(content) && /error|abort/i.test(content);
-            const alreadyPopulated = content.includes('## Term - The term being defined:');
-
-            if (alreadyPopulated) {
-              // BUG FIX: Clean up in-flight lock on early return
-              this._inFlightGenerations.delete(file.path);
+            // An existing definition followed from a note it doesn't know yet gains an origin
+            if (content && origin.path !== file.path) await this._noteNewOrigin(file, origin);
+            const rule = this._matchRule(origin);
+            if (rule && rule.autoGenerate === false) {
+              // Rule disables auto-generation for notes linked from this origin
               return;
             }
-            if (!(stat && stat.size === 0) && !looksEmpty && !templaterError) {
-              // BUG FIX: Clean up in-flight lock on early return
-              this._inFlightGenerations.delete(file.path);
+            const template = await this._getTemplate(rule && rule.template);
+            if (!this._needsAutoDefinition(file, content, template)) return;
+            if (this._isRecentlyProcessed(file.path)) return;
+            this._markProcessed(file.path);
+
+            const budget = this._budgetStatus();
+            if (budget.exceeded) {
+              new Notice(`${budget.message} Automatic definitions are paused; use "Regenerate definition for current note" to generate anyway.`);
               return;
             }
-            if (this._isRecentlyProcessed(file.path)) {
-              // BUG FIX: Clean up in-flight lock on early return
-              this._inFlightGenerations.delete(file.path);
+
+            const sense = await this._prepareSense(file, origin);
+            if (!sense) return;
+            // The sense pass is a request of its own and may have used up the rest of the budget
+            if (this.settings.senseDisambiguation && this._budgetStatus().exceeded) {
+              new Notice(`${this._budgetStatus().message} Automatic definitions are paused; use "Regenerate definition for current note" to generate anyway.`);
               return;
             }
-            this._markProcessed(file.path);
-
-            const context = await this.app.vault.read(origin);
-            const term = file.basename;
-            const originLink = this._computeOriginLinktext(origin, file);
-            const prompt = this.buildPrompt(term, this._truncateContext(context), originLink);
-            new Notice('Generating definition…');
-            let definition = await this.queryCopilot(prompt);
-            if (definition) {              definition = this._sanitizeOutput(definition);              definition = this._ensureSourceContextFromLine(definition, originLink);              await this.app.vault.modify(file, definition);
-              this._attemptCounts.delete(file.path);              this._inFlightGenerations.delete(file.path);
-              new Notice('Definition inserted.');
-            } else {
-              // Do not show an error yet; retry once after a short delay
-              const key = file.path;
-              const count = (this._attemptCounts.get(key) || 0) + 1;
-              this._attemptCounts.set(key, count);
-              // SECURITY FIX: Cap retries at 1 attempt to prevent infinite loops
-              if (count <= 1) {
-                setTimeout(async () => {
-                  try {
-                    const freshCtx = await this.app.vault.read(origin);
-                    const retryOriginLink = this._computeOriginLinktext(origin, file);
-                    const retryPrompt = this.buildPrompt(term, this._truncateContext(freshCtx), retryOriginLink);
-                    let second = await this.queryCopilot(retryPrompt);
-                    if (second) {
-                      second = this._sanitizeOutput(second);
-                      second = this._ensureSourceContextFromLine(second, retryOriginLink);
-                      await this.app.vault.modify(file, second);
-                      this._attemptCounts.delete(key);
-                      this._inFlightGenerations.delete(file.path);
-                      new Notice('Definition inserted.');
-                    } else {
-                      this._attemptCounts.delete(key); // Clean up on permanent failure
-                      this._inFlightGenerations.delete(file.path);
-                      new Notice('Definition generation failed (see console).');
-                    }
-                  } catch (e) {
-                    console.error('Retry generation failed', e);
-                    this._attemptCounts.delete(key); // Clean up on error
-                    this._inFlightGenerations.delete(file.path);
-                    new Notice('Definition generation failed (see console).');
-                  }
-                }, 1000);
-              } else {
-                // Fallback: insert a minimal local template so user gets the From link
-                try {
-                  const fallback = this._buildLocalTemplate(term, originLink, this._truncateContext(context));
-                  await this.app.vault.modify(file, fallback);
-                  this._attemptCounts.delete(key); // Clean up on fallback
-                  this._inFlightGenerations.delete(file.path);
-                  new Notice('Inserted local fallback definition (API failed).');
-                } catch (e) {
-                  console.error('Failed to insert fallback template', e);
-                  this._attemptCounts.delete(key); // Clean up on error
-                  this._inFlightGenerations.delete(file.path);
-                  new Notice('Definition generation failed (see console).');
-                }
-              }
+            let targetPath = sense.targetPath;
+            const prepared = this.app.vault.getAbstractFileByPath(targetPath);
+            if (prepared instanceof TFile) {
+              targetPath = (await this._placeGeneratedNote(prepared, origin, sense.term || prepared.basename)).path;
             }
+            this.queue.enqueue({ kind: 'auto', targetPath, originPath: origin.path, sense: sense.sense, term: sense.term || file.basename });
           } catch (err) {
-            console.error('Contextual Wiki Definitions: file-open handler failed', err);            this._inFlightGenerations.delete(file.path);
+            console.error('Contextual Wiki Definitions: file-open handler failed', err);
+          } finally {
+            // BUG FIX: Always release the lock; the queue guards the generation itself
+            this._inFlightGenerations.delete(lockPath);
           }
         }, 300);
       })
@@ -187,34 +434,195 @@ module.exports = class ContextualWikiDefinitions extends Plugin {
 
         const files = this.app.vault.getMarkdownFiles();
         const modal = new OriginNoteSuggestModal(this.app, files, async (origin) => {
-          try {
-            const context = await this.app.vault.read(origin);
-            const term = target.basename;
-            const originLink = this._computeOriginLinktext(origin, target);
-            // BUG FIX: Apply context truncation consistently (same as elsewhere)
-            const prompt = this.buildPrompt(term, this._truncateContext(context), originLink);
-            let definition = await this.queryCopilot(prompt);
-            if (definition) {
-              definition = this._sanitizeOutput(definition);
-              definition = this._ensureSourceContextFromLine(definition, originLink);
-              await this.app.vault.modify(target, definition);
-            } else {
-              try {
-                const fallback = this._buildLocalTemplate(term, originLink, this._truncateContext(context));
-                await this.app.vault.modify(target, fallback);
-                new Notice('Inserted local fallback definition (API failed).');
-              } catch (e) {
-                console.error('Failed to insert fallback template (picker)', e);
-              }
-            }
-          } catch (e) {
-            console.error('Failed to regenerate with picked origin', e);
-          }
+          if (!(await this._confirmBudget())) return;
+          const sense = await this._prepareSense(target, origin);
+          if (!sense) return;
+          this.queue.enqueue({ kind: 'regenerate', targetPath: sense.targetPath, originPath: origin.path, preview: true, sense: sense.sense, term: sense.term });
         });
         modal.open();
       },
     });
 
+    this.addCommand({
+      id: 'refine-definition',
+      name: 'Refine definition with new context',
+      callback: async () => {
+        const file = this.app.workspace.getActiveFile();
+        if (!file || file.extension !== 'md') return;
+        await this.refineDefinition(file);
+      },
+    });
+
+    this.addCommand({
+      id: 'define-selection',
+      name: 'Define selected text',
+      editorCheckCallback: (checking, editor, view) => {
+        if (!editor.somethingSelected() || !view.file) return false;
+        if (!checking) this.defineSelection(editor, view.file);
+        return true;
+      },
+    });
+
+    this.addCommand({
+      id: 'define-selection-as',
+      name: 'Define selected text as…',
+      editorCheckCallback: (checking, editor, view) => {
+        if (!editor.somethingSelected() || !view.file) return false;
+        if (!checking) {
+          new TermSuggestModal(this.app, editor.getSelection().trim(), (choice) => this.defineSelection(editor, view.file, choice)).open();
+        }
+        return true;
+      },
+    });
+
+    this.registerEvent(this.app.workspace.on('editor-menu', (menu, editor, view) => {
+      if (!editor.somethingSelected() || !view.file) return;
+      menu.addItem((item) => item
+        .setTitle('Define this')
+        .setIcon('book-open')
+        .onClick(() => this.defineSelection(editor, view.file)));
+    }));
+    this.registerEvent(this.app.workspace.on('hover-link', (event) => this._onHoverLink(event)));
+
+    this.addCommand({
+      id: 'define-unresolved-links-in-note',
+      name: 'Define all unresolved links in current note',
+      callback: async () => {
+        const file = this.app.workspace.getActiveFile();
+        if (!file || file.extension !== 'md') {
+          new Notice('Open a note first.');
+          return;
+        }
+        await this.defineUnresolvedLinks([file], file.basename);
+      },
+    });
+
+    this.addCommand({
+      id: 'define-unresolved-links-in-folder',
+      name: 'Define all unresolved links in folder…',
+      callback: () => {
+        const folders = this.app.vault.getAllLoadedFiles().filter((f) => f instanceof TFolder);
+        new FolderSuggestModal(this.app, folders, async (folder) => {
+          const files = this.app.vault.getMarkdownFiles().filter((f) => folder.isRoot() || f.path.startsWith(`${folder.path}/`));
+          await this.defineUnresolvedLinks(files, folder.isRoot() ? '/' : folder.path);
+        }).open();
+      },
+    });
+
+    this.addCommand({
+      id: 'open-generation-queue',
+      name: 'Open generation queue',
+      callback: async () => {
+        await this.activateQueueView();
+      },
+    });
+
+    this.addCommand({
+      id: 'open-definition-history',
+      name: 'Open definition history',
+      callback: async () => {
+        await this.activateView(HISTORY_VIEW_TYPE);
+      },
+    });
+
+    this.addCommand({
+      id: 'preview-outgoing-payload',
+      name: 'Preview what will be sent',
+      callback: async () => {
+        const target = this.app.workspace.getActiveFile();
+        if (!target || target.extension !== 'md') {
+          new Notice('Open a note first.');
+          return;
+        }
+        // Same origin choice as "Regenerate definition for current note"
+        const origin = (this.previousFile && this.previousFile.path !== target.path) ? this.previousFile : target;
+        const plan = await this._planGeneration(target, origin);
+        // Regenerating previews the result, so its request is buffered unless the chain entry streams
+        plan.preview = true;
+        new PayloadPreviewModal(this.app, this, plan).open();
+      },
+    });
+
+    this.addCommand({
+      id: 'open-stale-definitions',
+      name: 'Open stale definitions',
+      callback: async () => {
+        await this.activateView(STALE_VIEW_TYPE);
+      },
+    });
+
+    this.addCommand({
+      id: 'open-usage-stats',
+      name: 'Open token usage and cost',
+      callback: async () => {
+        await this.activateView(USAGE_VIEW_TYPE);
+      },
+    });
+
+    this.addCommand({
+      id: 'cancel-generation',
+      name: 'Cancel running generation',
+      callback: () => {
+        if (this._activeStreams.size === 0) {
+          new Notice('No generation is running.');
+          return;
+        }
+        for (const controller of this._activeStreams) controller.abort();
+        this._setStatus(null);
+      },
+    });
+
+    this.addCommand({
+      id: 'rebuild-retrieval-index',
+      name: 'Rebuild vault retrieval index',
+      callback: async () => {
+        if (this.retrieval.mode === 'off') {
+          new Notice('Vault retrieval is off (see settings).');
+          return;
+        }
+        new Notice('Rebuilding retrieval index…');
+        const count = await this.retrieval.rebuild();
+        new Notice(`Retrieval index rebuilt (${count} notes).`);
+      },
+    });
+
+    this.addCommand({
+      id: 'update-glossary-index',
+      name: 'Update glossary index note',
+      callback: async () => {
+        if (!this.glossaryIndex.path) {
+          new Notice('Set the glossary index note in the settings first.');
+          return;
+        }
+        const count = await this.glossaryIndex.rebuild();
+        new Notice(`Glossary index updated (${count} definitions).`);
+      },
+    });
+
+    this.addCommand({
+      id: 'export-flashcards',
+      name: 'Export flashcards',
+      callback: async () => {
+        await this.exportFlashcards(false);
+      },
+    });
+
+    this.addCommand({
+      id: 'export-all-flashcards',
+      name: 'Export flashcards, including unchanged cards (Anki)',
+      callback: async () => {
+        await this.exportFlashcards(true);
+      },
+    });
+
+    this.addCommand({
+      id: 'create-template-note',
+      name: 'Create template note from built-in template',
+      callback: async () => {
+        await this.createTemplateNote();
+      },
+    });
+
     this.addCommand({
       id: 'test-api-roundtrip-log-only',
       name: 'Test API roundtrip (log only)',
@@ -222,13 +630,12 @@ module.exports = class ContextualWikiDefinitions extends Plugin {
         try {
           const file = this.app.workspace.getActiveFile();
           if (!file) { new Notice('Open a note to test.'); return; }
-          const ctx = await this.app.vault.read(file);
-          const originLink = this._computeOriginLinktext(file, file);
-          const prompt = this.buildPrompt(file.basename, this._truncateContext(ctx), originLink);
+          const plan = await this._planGeneration(file, file);
           new Notice('Testing API…');
-          const out = await this.queryCopilot(prompt);
+          const out = await this.queryModel(plan.prompt, { chain: plan.chain });
           console.log('[Contextual Wiki Definitions] Test output:', out);
-          new Notice(out ? 'API OK — see console' : 'API failed — see console');
+          if (out) this._upgradeOfflineNotes();
+          new Notice(out ? `API OK (${PROVIDERS[out.provider].label} / ${out.model}) — see console` : 'API failed — see console');
         } catch (err) {
           console.error('Test API failed', err);
           new Notice('Test failed (see console)');
@@ -237,52 +644,262 @@ module.exports = class ContextualWikiDefinitions extends Plugin {
     });
   }
 
-  buildPrompt(term, context, originLink) {
-    return `Role: Create a precise, context-grounded definition for [[${term}]] using ONLY the originating note context. Do not invent sources, citations, or external facts.
+  buildPrompt(term, context, originLink, template, related, language, translation) {
+    const source = template || DEFAULT_TEMPLATE;
+    if (related && related.length > 0) context = `${context}\n\n${this._formatRelated(related)}`;
+    const prompt = this._renderTemplate(source, { term, origin: originLink, context }, 'prompt');
+    // Templates that don't place the context themselves get it appended
+    if (!/\{\{\s*context\s*\}\}/.test(source)) {
+      return `${prompt.trim()}\n\nOriginating note context:\n${context}${this._languagePrompt(language, translation)}`;
+    }
+    return `${prompt}${this._languagePrompt(language, translation)}`;
+  }
 
-Output rules (strict):
-- Total length: 180–260 words (excluding quotes).
-- Bullets: max 4 per list.
-- Use plain Markdown only. No HTML. No code blocks.
-- If context is insufficient, say so and ask for what's missing in 1 sentence.
+  /** Instructions for the output language and the Translation section; '' for English without translation. */
+  _languagePrompt(language, translation) {
+    const lang = LANGUAGES[language] || LANGUAGES.en;
+    const parts = [];
+    if (lang !== LANGUAGES.en) {
+      parts.push(`Write the whole definition in ${lang.name} (${language}), including frontmatter values such as sense. Use the headings exactly as given above. Quotes stay verbatim, in the language of the context.`);
+    }
+    if (translation && LANGUAGES[translation] && translation !== language) {
+      const target = LANGUAGES[translation];
+      parts.push(`Under "## ${lang.headings.translation} (${target.name})", translate the ${lang.headings.definition} and the ${lang.headings.keyPoints} into ${target.name} (${translation}). Everything else stays in ${lang.name}.`);
+    }
+    return parts.length ? `\n\nLanguage:\n- ${parts.join('\n- ')}` : '';
+  }
 
-Output format (exact headings; no extra sections):
+  /** Retrieved chunks as a prompt section; each passage is headed by a link to where it came from. */
+  _formatRelated(related) {
+    const parts = related.map((r) => `### [[${r.link}]]\n${r.text}`);
+    return `Related passages from other notes in the vault (supporting context only; the originating note stays the primary source, and these may use the term differently):\n\n${parts.join('\n\n')}`;
+  }
 
----
-aliases: ["${term}"]
-tags: ["wiki", "auto"]
-origin: "${originLink}"
-generated: true
-confidence: "0-100"
-sense: "one short phrase"
----
+  /**
+   * Top-k chunks from other notes for `term`, queried with the term, the chosen sense and the
+   * origin passages that mention it. Empty when retrieval is off.
+   */
+  async _retrieveRelated(term, sense, originFile, originText, target, exclude = []) {
+    if (!this.retrieval || this.retrieval.mode === 'off') return [];
+    const cache = originFile ? this.app.metadataCache.getFileCache(originFile) : null;
+    const passages = [];
+    // The query may go to the embeddings endpoint: excluded origins add nothing, the rest is redacted
+    if (!this._isExcluded(originFile)) {
+      for (const offset of this._findTermOffsets(originFile, cache, originText || '', term, 0).slice(0, 3)) {
+        const range = this._paragraphRange(cache, originText, offset);
+        passages.push(originText.slice(range.start, range.end));
+      }
+    }
+    const query = [term, term, sense || '', this._redact(passages.join(' ').slice(0, 1500), this._newRedaction())].join(' ');
+    const skip = new Set([target, originFile, ...exclude].filter(Boolean).map((f) => f.path));
+    try {
+      const hits = await this.retrieval.search(query, this.settings.retrievalTopK || 4, skip);
+      return hits.map((hit) => {
+        const file = this.app.vault.getAbstractFileByPath(hit.path);
+        const linktext = file instanceof TFile ? this.app.metadataCache.fileToLinktext(file, target.path, true) : hit.path.replace(/\.md$/, '');
+        return { path: hit.path, link: hit.heading ? `${linktext}#${hit.heading}` : linktext, text: hit.text, score: hit.score };
+      });
+    } catch (e) {
+      console.warn('[Contextual Wiki Definitions] Retrieval failed; generating without related passages', e);
+      return [];
+    }
+  }
 
-## Term - The term being defined: [[${term}]]
+  /** Embed `texts` through the configured OpenAI-compatible /embeddings endpoint. */
+  async _embed(texts) {
+    // A provider without an /embeddings route (picked before this was checked) falls back to OpenAI
+    const chosen = PROVIDERS[this.settings.embeddingProvider];
+    const provider = chosen && chosen.embeddings ? this.settings.embeddingProvider : 'openai';
+    const config = this._getProviderConfig(provider) || {};
+    const baseUrl = (this.settings.embeddingBaseUrl || config.baseUrl || PROVIDERS[provider].baseUrl).replace(/\/+$/, '');
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.apiKey) headers.Authorization = `Bearer ${config.apiKey}`;
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += 32) {
+      await this._acquireRequestSlot();
+      const res = await this._makeRequest(`${baseUrl}/embeddings`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ model: this.settings.embeddingModel || 'text-embedding-3-small', input: texts.slice(i, i + 32) }),
+      });
+      if (!res.ok) {
+        const snippet = (await res.text()).slice(0, 300);
+        throw new Error(`Embedding request failed: HTTP ${res.status} ${snippet}`);
+      }
+      const data = await res.json();
+      const usage = data && data.usage ? { prompt: data.usage.prompt_tokens || data.usage.total_tokens || 0, completion: 0 } : null;
+      this._recordUsage(provider, this.settings.embeddingModel || 'text-embedding-3-small', texts.slice(i, i + 32).join('\n'), '', usage, 'embedding');
+      const items = (data && Array.isArray(data.data) ? data.data : []).slice().sort((x, y) => (x.index || 0) - (y.index || 0));
+      if (items.length !== Math.min(32, texts.length - i)) throw new Error('Embedding response has the wrong number of vectors');
+      vectors.push(...items.map((item) => item.embedding));
+    }
+    return vectors;
+  }
 
-## One-Sentence Definition
-- (≤25 words)
+  /**
+   * Fill {{term}}, {{origin}}, {{context}} and {{date}} placeholders.
+   * mode 'prompt' keeps the contents of %% comment %% blocks (model instructions);
+   * mode 'note' drops them and turns "(…)" guidance into <pending> for the offline fallback.
+   */
+  _renderTemplate(template, vars, mode) {
+    const values = Object.assign({ date: new Date().toISOString().slice(0, 10) }, vars);
+    let text = template || '';
+    if (mode === 'note') {
+      text = text.replace(/%%[\s\S]*?%%\n?/g, '');
+      text = text
+        .replace(/^([ \t]*(?:[-*]|>)[ \t]+)\(.*\)[ \t]*$/gm, '$1<pending>')
+        .replace(/^([ \t]*[\w-]+:[ \t]*)"\(.*\)"[ \t]*$/gm, '$1"pending"');
+    } else {
+      text = text.replace(/%%\n?([\s\S]*?)%%\n?/g, '$1');
+    }
+    return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (
+      Object.prototype.hasOwnProperty.call(values, key) ? String(values[key] == null ? '' : values[key]) : match
+    )).trim();
+  }
 
-## Key Points
-- (3–4 bullets; each ≤12 words)
+  /**
+   * Resolve the active template text. `templatePath` may point at a note or a folder of
+   * notes; in a folder, `name` (or the default template setting) picks the note.
+   * `name` may also be the vault path of any template note.
+   */
+  async _getTemplate(name) {
+    const path = (this.settings.templatePath || '').trim();
+    try {
+      // A name may also be a full vault path to a template note (used by origin rules)
+      if (name) {
+        const direct = this.app.vault.getAbstractFileByPath(name) || this.app.vault.getAbstractFileByPath(`${name}.md`);
+        if (direct instanceof TFile) return (await this.app.vault.read(direct)) || DEFAULT_TEMPLATE;
+      }
+      if (!path) return DEFAULT_TEMPLATE;
+      const target = this.app.vault.getAbstractFileByPath(path) || this.app.vault.getAbstractFileByPath(`${path}.md`);
+      let file = null;
+      if (target instanceof TFile) {
+        file = target;
+      } else if (target instanceof TFolder) {
+        const notes = this._listTemplates();
+        const wanted = (name || this.settings.defaultTemplate || '').toLowerCase();
+        file = notes.find((f) => f.basename.toLowerCase() === wanted) || notes[0] || null;
+      }
+      if (!file) {
+        console.warn('Contextual Wiki Definitions: template not found, using built-in template', path);
+        return DEFAULT_TEMPLATE;
+      }
+      const text = await this.app.vault.read(file);
+      return text && text.trim() ? text : DEFAULT_TEMPLATE;
+    } catch (e) {
+      console.error('Failed to read template note', e);
+      return DEFAULT_TEMPLATE;
+    }
+  }
 
-## Example / Use (In this note's domain)
-- (1–2 bullets; concrete)
+  /** Template notes available in the configured template folder (sorted by name). */
+  _listTemplates() {
+    const path = (this.settings.templatePath || '').trim();
+    const folder = path ? this.app.vault.getAbstractFileByPath(path) : null;
+    if (!(folder instanceof TFolder)) return [];
+    return folder.children
+      .filter((f) => f instanceof TFile && f.extension === 'md')
+      .sort((a, b) => a.basename.localeCompare(b.basename));
+  }
 
-## Boundaries (Not to confuse with)
-- (2 bullets; near-misses)
+  /**
+   * Marker that identifies a note already populated from this template: the first
+   * heading of the rendered note, up to its first placeholder.
+   */
+  _populatedMarker(template) {
+    const body = (template || DEFAULT_TEMPLATE).replace(/%%[\s\S]*?%%/g, '');
+    const heading = body.split('\n').find((l) => /^#{1,6}\s+\S/.test(l.trim()));
+    if (!heading) return null;
+    const marker = heading.trim().split('{{')[0].replace(/\[\[$/, '').trim();
+    return marker.length > 3 ? marker : null;
+  }
 
-## Related Concepts
-- (3–6 items; prefer [[wiki links]] when appropriate)
+  /** Language code for `value` ("de", "de-AT", "German", "Deutsch"), or null if it isn't supported. */
+  _languageCode(value) {
+    const name = String(value || '').trim().toLowerCase();
+    if (!name) return null;
+    const code = name.split(/[-_]/)[0];
+    if (LANGUAGES[code]) return code;
+    const english = { english: 'en', german: 'de', french: 'fr', spanish: 'es', italian: 'it', portuguese: 'pt' };
+    return english[name] || Object.keys(LANGUAGES).find((c) => LANGUAGES[c].name.toLowerCase() === name) || null;
+  }
 
-## Source Context (From the Note)
-- From: ${originLink}
-> (Quote EXACTLY 1–2 lines copied from the provided context. No paraphrase.)
+  /**
+   * Language to define terms from `originFile` in: its `lang:` frontmatter, then the setting.
+   * "auto" detects it from the origin text, falling back to English.
+   */
+  _definitionLanguage(originFile, text) {
+    const fm = originFile ? (this.app.metadataCache.getFileCache(originFile) || {}).frontmatter : null;
+    const own = fm && this._languageCode(fm.lang);
+    if (own) return own;
+    const setting = this.settings.language || 'en';
+    if (setting !== 'auto') return this._languageCode(setting) || 'en';
+    return this._detectLanguage(text) || 'en';
+  }
 
-## Self-check
-- (One question that tests understanding in this context.)
+  /** Language of `text` by counts of frequent function words, or null without a clear winner. */
+  _detectLanguage(text) {
+    const body = this._separateFrontmatter(text || '').body
+      .replace(/```[\s\S]*?```/g, ' ')
+      .replace(/\[\[[^\]]*\]\]|https?:\/\/\S+/g, ' ')
+      .slice(0, 20000);
+    const words = Object.entries(LANGUAGES).map(([code, lang]) => [code, new Set(lang.words.split(' '))]);
+    const counts = new Map();
+    for (const token of body.toLowerCase().split(/[^\p{L}]+/u)) {
+      for (const [code, set] of words) {
+        if (set.has(token)) counts.set(code, (counts.get(code) || 0) + 1);
+      }
+    }
+    const ranked = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+    if (!ranked.length || ranked[0][1] < 5) return null;
+    // Shared words ("que", "e") count for several languages; demand a margin
+    return !ranked[1] || ranked[0][1] >= ranked[1][1] * 1.5 ? ranked[0][0] : null;
+  }
 
-Originating note context:
-${context}`;
+  /**
+   * Section and language of a heading written with one of the built-in headings, in any
+   * supported language ("## Kernpunkte" -> { section: 'keyPoints', language: 'de' }), or null.
+   */
+  _headingSection(line) {
+    if (!this._headingStems) {
+      // Comparable start of each heading: "term - the term being defined:" -> "term"
+      this._headingStems = [];
+      for (const [language, lang] of Object.entries(LANGUAGES)) {
+        for (const [section, heading] of Object.entries(lang.headings)) {
+          this._headingStems.push({ section, language, stem: this._headingKey(heading).split(/\s*[(:]|\s-\s/)[0].trim() });
+        }
+      }
+    }
+    const key = this._headingKey(line);
+    return this._headingStems.find(({ stem }) => key === stem || [' ', '(', ':'].some((c) => key.startsWith(stem + c))) || null;
+  }
+
+  /**
+   * `template` with the built-in section headings and the "- From:" label in `language`, plus a
+   * Translation section when `translation` is another supported language. Custom headings stay.
+   */
+  _localizeTemplate(template, language, translation) {
+    const code = LANGUAGES[language] ? language : 'en';
+    const lang = LANGUAGES[code];
+    const lines = (template || DEFAULT_TEMPLATE).split('\n').map((line) => {
+      const heading = line.match(/^(#{1,6})\s+(.*)$/);
+      if (!heading) return line.replace(FROM_LINE, `- ${lang.from}:`);
+      const found = this._headingSection(line);
+      if (!found || found.language === code) return line;
+      // Keep the link or placeholder after the heading text: "[[{{term}}]]"
+      const rest = heading[2].match(/(?:\[\[|\{\{).*$/);
+      return `${heading[1]} ${lang.headings[found.section]}${rest ? ` ${rest[0]}` : ''}`;
+    });
+    const target = translation && translation !== code ? LANGUAGES[translation] : null;
+    if (target && !lines.some((l) => /^#{1,6}\s/.test(l) && (this._headingSection(l) || {}).section === 'translation')) {
+      const section = [`## ${lang.headings.translation} (${target.name})`, `- (${lang.headings.definition}; ${lang.headings.keyPoints}: ${target.name})`, ''];
+      // Before the {{context}} line and its label, if the template places the context itself
+      let at = lines.findIndex((l) => /\{\{\s*context\s*\}\}/.test(l));
+      if (at > 0 && /^[^#>*-].*:\s*$/.test(lines[at - 1])) at--;
+      if (at === -1) lines.push('', ...section);
+      else lines.splice(at, 0, ...section);
+    }
+    return lines.join('\n');
   }
 
   async regenerateForCurrentNote() {
@@ -292,157 +909,1895 @@ ${context}`;
     const origin = (this.previousFile && this.previousFile.path !== target.path)
       ? this.previousFile
       : null;
-    let context = '';
-    try {
-      if (origin) {
-        context = await this.app.vault.read(origin);
-      } else {
-        // Fallback: use current note content if no distinct origin is known
-        context = await this.app.vault.read(target);
-      }
-    } catch (_) {}
+    if (!(await this._confirmBudget())) return;
+    // Fallback: use current note content if no distinct origin is known
+    const sense = await this._prepareSense(target, origin || target);
+    if (!sense) return;
+    this.queue.enqueue({ kind: 'regenerate', targetPath: sense.targetPath, originPath: (origin || target).path, preview: true, sense: sense.sense, term: sense.term });
+  }
 
-    const term = target.basename;
-    const originFile = origin || target;
-    const originLink = this._computeOriginLinktext(originFile, target);
-    const prompt = this.buildPrompt(term, this._truncateContext(context), originLink);
-    new Notice('Generating definition…');
-    let definition = await this.queryCopilot(prompt);
-    if (definition) {
-      definition = this._sanitizeOutput(definition);
-      definition = this._ensureSourceContextFromLine(definition, originLink);
-      await this.app.vault.modify(target, definition);
-      new Notice('Definition inserted.');
-    } else {
-      try {
-        const fallback = this._buildLocalTemplate(term, originLink, this._truncateContext(context));
-        await this.app.vault.modify(target, fallback);
-        new Notice('Inserted local fallback definition (API failed).');
-      } catch (e) {
-        console.error('Failed to insert fallback template (regen)', e);
-        new Notice('Definition generation failed (see console).');
-      }
+  async activateQueueView() {
+    await this.activateView(QUEUE_VIEW_TYPE);
+  }
+
+  /** Reveal the plugin's side view of `type`, opening it in the right sidebar if needed. */
+  async activateView(type) {
+    let leaf = this.app.workspace.getLeavesOfType(type)[0];
+    if (!leaf) {
+      leaf = this.app.workspace.getRightLeaf(false);
+      await leaf.setViewState({ type, active: true });
     }
+    this.app.workspace.revealLeaf(leaf);
   }
 
-  _computeOriginLinktext(originFile, targetFile) {
-    try {
-      if (!originFile) return '[[Unknown Origin]]';
-      const sourcePath = targetFile && targetFile.path ? targetFile.path : '';
-      const linktext = this.app.metadataCache.fileToLinktext(originFile, sourcePath, false);
-      return `[[${linktext}]]`;
-    } catch (_) {
-      return originFile && originFile.basename ? `[[${originFile.basename}]]` : '[[Unknown Origin]]';
+  /**
+   * Put an earlier version back into the note. The current text is saved first (unless
+   * history already has it), so a restore can itself be undone.
+   */
+  async restoreVersion(file, entry) {
+    const current = await this.app.vault.read(file);
+    await this.history.snapshot(file.path, current);
+    await this.app.vault.modify(file, entry.output);
+    await this.history.record(file.path, {
+      kind: 'restored',
+      promptHash: entry.promptHash,
+      provider: entry.provider,
+      model: entry.model,
+      origin: entry.origin,
+      output: entry.output,
+    });
+    new Notice(`Restored the version from ${new Date(entry.timestamp).toLocaleString()}.`);
+  }
+
+  onunload() {
+    if (this.queue) this.queue.stop();
+    if (this.retrieval) this.retrieval.stop();
+    if (this.history) this.history.flush();
+    if (this.usage) this.usage.flush();
+    if (this.glossaryIndex) this.glossaryIndex.flush();
+    for (const timer of this._staleTimers.values()) clearTimeout(timer);
+  }
+
+  /**
+   * Optional first pass: ask the model which senses of the term the origin supports, let
+   * the user pick one, and move the definition to a disambiguated note when another note
+   * already defines the term in a different sense.
+   * Resolves to { targetPath, sense, term } (sense null when skipped), or null to abort.
+   */
+  async _prepareSense(target, origin) {
+    const none = { targetPath: target.path, sense: null, term: null };
+    if (!this.settings.senseDisambiguation) return none;
+    const term = target.basename;
+    const senses = await this._proposeSenses(term, origin, target);
+    if (senses.length === 0) return none;
+    const chosen = senses.length === 1 ? senses[0] : await new Promise((resolve) => {
+      new SensePickerModal(this.app, term, senses, resolve).open();
+    });
+    // Dismissing the picker generates without a fixed sense
+    if (!chosen) return none;
+
+    const conflict = this._findSenseConflict(target, term, chosen.sense);
+    if (!conflict) return { targetPath: target.path, sense: chosen.sense, term };
+    const name = `${term} (${chosen.sense.replace(/[\\/:*?"<>|#^[\]()]/g, '').trim()})`;
+    const choice = await new Promise((resolve) => {
+      new ConfirmModal(this.app, {
+        title: 'Different sense already defined',
+        message: `"${conflict.file.basename}" defines ${term} as "${conflict.sense}". Create "${name}" for "${chosen.sense}" instead?`,
+        confirmText: `Create "${name}"`,
+        cancelText: 'Use this note anyway',
+      }, resolve).open();
+    });
+    if (!choice) return { targetPath: target.path, sense: chosen.sense, term };
+    const disambiguated = await this._disambiguateTarget(target, origin, term, name);
+    return { targetPath: disambiguated.path, sense: chosen.sense, term };
+  }
+
+  /** Senses of `term` in `origin`, asked once per origin and term: opening the link again reuses the answer. */
+  _proposeSenses(term, origin, target) {
+    const key = `${origin.path}\0${term}`;
+    if (this._senseLists.has(key)) return this._senseLists.get(key);
+    const promise = this._askSenses(term, origin, target);
+    this._senseLists.set(key, promise);
+    // Failed passes are asked again next time
+    promise.then((senses) => { if (senses.length === 0) this._senseLists.delete(key); });
+    if (this._senseLists.size > 200) this._senseLists.delete(this._senseLists.keys().next().value);
+    return promise;
+  }
+
+  async _askSenses(term, origin, target) {
+    try {
+      const context = this._promptContext(origin, await this.app.vault.read(origin), term, undefined, this._newRedaction());
+      const prompt = `List the distinct meanings the term "${term}" could have as it is used in the note context below. Only include senses the context plausibly supports (at most 5), most likely first.
+Respond with JSON only, no prose: [{"sense": "<2-5 word label, e.g. operating systems>", "description": "<one sentence>", "confidence": <0-100, likelihood this is the meaning intended in the note>}]
+
+Note context:
+${context}`;
+      new Notice(`Finding senses of "${term}"…`);
+      const result = await this.queryModel(prompt, { chain: this._ruleChain(this._matchRule(origin)) });
+      if (!result) return [];
+      const match = result.text.match(/\[[\s\S]*\]/);
+      const parsed = match ? JSON.parse(match[0]) : [];
+      return (Array.isArray(parsed) ? parsed : [])
+        .filter((s) => s && typeof s.sense === 'string' && s.sense.trim())
+        .map((s) => ({
+          sense: s.sense.trim().slice(0, 60),
+          description: typeof s.description === 'string' ? s.description.trim() : '',
+          confidence: Math.max(0, Math.min(100, Number(s.confidence) || 0)),
+        }))
+        .sort((a, b) => b.confidence - a.confidence)
+        .slice(0, 5);
+    } catch (e) {
+      console.error('Sense disambiguation failed; generating without a fixed sense', e);
+      return [];
+    }
+  }
+
+  /** Another note for the same term ("Term" or "Term (…)") whose frontmatter sense differs. */
+  _findSenseConflict(target, term, sense) {
+    const wanted = sense.toLowerCase();
+    const lowerTerm = term.toLowerCase();
+    for (const file of this.app.vault.getMarkdownFiles()) {
+      const name = file.basename.toLowerCase();
+      if (name !== lowerTerm && !name.startsWith(`${lowerTerm} (`)) continue;
+      const fm = (this.app.metadataCache.getFileCache(file) || {}).frontmatter;
+      const existing = fm && typeof fm.sense === 'string' ? fm.sense.trim() : '';
+      if (!existing || existing === 'pending' || existing.toLowerCase() === wanted) continue;
+      // The target only conflicts with itself when it already holds a definition
+      if (file.path === target.path && file.stat && file.stat.size === 0) continue;
+      return { file, sense: existing };
+    }
+    return null;
+  }
+
+  /**
+   * Give the sense its own note. An empty target is renamed (Obsidian updates the links);
+   * otherwise a new note is created and the origin's links to the term are repointed.
+   */
+  async _disambiguateTarget(target, origin, term, name) {
+    const folder = target.parent && !target.parent.isRoot() ? `${target.parent.path}/` : '';
+    const path = obsidian.normalizePath(`${folder}${name}.md`);
+    const existing = this.app.vault.getAbstractFileByPath(path);
+    if (existing instanceof TFile) return existing;
+    const content = await this.app.vault.read(target);
+    if (!content.trim()) {
+      await this.app.fileManager.renameFile(target, path);
+      return target;
+    }
+    const file = await this.app.vault.create(path, '');
+    if (origin && origin.path !== target.path) {
+      const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const re = new RegExp(`\\[\\[${escaped}(\\|[^\\]]*)?\\]\\]`, 'gi');
+      await this.app.vault.process(origin, (text) => text.replace(re, (m, alias) => `[[${name}${alias || `|${term}`}]]`));
     }
+    return file;
   }
 
-  _ensureSourceContextFromLine(text, originLink) {
+  /** Whether a freshly opened note is still empty (or only holds a Templater error) and needs a definition. */
+  _needsAutoDefinition(file, content, template) {
+    // The note may have been written in any of the languages
+    const markers = Object.keys(LANGUAGES).map((code) => this._populatedMarker(this._localizeTemplate(template, code)));
+    if (markers.some((marker) => marker && content.includes(marker))) return false;
+    const stat = file.stat;
+    const looksEmpty = !content || content.length < 10;
+    const templaterError = /templater/i.test(content) && /error|abort/i.test(content);
+    return (stat && stat.size === 0) || looksEmpty || templaterError;
+  }
+
+  /**
+   * Execute one queue job. Resolves to { status: 'done'|'skipped'|'cancelled'|'discarded' };
+   * throws on failure (err.retryAfter in ms when the provider asked us to wait,
+   * err.permanent when retrying cannot help).
+   */
+  async _executeJob(job) {
+    let target = this.app.vault.getAbstractFileByPath(job.targetPath);
+    const originFile = job.originPath ? this.app.vault.getAbstractFileByPath(job.originPath) : null;
+    const origin = originFile instanceof TFile ? originFile : null;
+    if (job.kind === 'batch' && !(target instanceof TFile)) {
+      if (!origin) throw Object.assign(new Error('Origin note no longer exists'), { permanent: true });
+      target = await this._createNoteForLink(job.linktext, origin);
+      job.targetPath = target.path;
+    }
+    if (!(target instanceof TFile)) throw Object.assign(new Error('Note no longer exists'), { permanent: true });
+
+    const plan = job.kind === 'refine'
+      ? await this._planRefinement(target)
+      : await this._planGeneration(target, origin || target, { sense: job.sense, term: job.term });
+    plan.preview = !!job.preview;
+    plan.kind = job.kind;
+    if ((job.kind === 'auto' || job.kind === 'batch' || job.kind === 'define') && !job.force && !job.attempts) {
+      // The user may have written into the note while the job waited (retries already passed this check)
+      const content = ((await this.app.vault.read(target)) || '').trim();
+      if (!this._needsAutoDefinition(target, content, plan.template)) return { status: 'skipped' };
+    }
+    if ((job.kind === 'auto' || job.kind === 'upgrade') && this._budgetStatus().exceeded) {
+      // Queued before the budget ran out; manual commands ask for confirmation instead
+      return { status: 'skipped' };
+    }
+    if (job.kind === 'upgrade') {
+      // Removing or changing `generated: offline` keeps the offline version
+      const fm = (this.app.metadataCache.getFileCache(target) || {}).frontmatter;
+      if (!fm || fm.generated !== 'offline') return { status: 'skipped' };
+    }
+
+    // Read before streaming starts writing into the note
+    plan.before = await this.app.vault.read(target);
+    const errors = [];
+    const result = await this._runGeneration(plan, { errors, controller: job.controller });
+    if (result && result.cancelled) return { status: 'cancelled' };
+    if (!result) {
+      const last = errors[errors.length - 1];
+      const err = new Error(last ? last.message : 'All API attempts failed');
+      const waits = errors.map((e) => e.retryAfter || 0);
+      err.retryAfter = waits.length ? Math.max(...waits) : 0;
+      throw err;
+    }
+    plan.provider = result.provider;
+    plan.model = result.model;
+    const written = await this._writeDefinition(plan, result.text);
+    return { status: written ? 'done' : 'discarded', quoteReport: plan.quoteReport, linkReport: plan.linkReport, sanitizeReport: plan.sanitizeReport };
+  }
+
+  /**
+   * The API answered again: queue a regeneration for every note still marked
+   * `generated: offline`. Runs at most once every ten minutes.
+   */
+  _upgradeOfflineNotes() {
+    if (this.settings.upgradeOffline === false) return;
+    const now = Date.now();
+    if (this._lastUpgradeScan && now - this._lastUpgradeScan < 10 * 60 * 1000) return;
+    this._lastUpgradeScan = now;
+    for (const file of this.app.vault.getMarkdownFiles()) {
+      const fm = (this.app.metadataCache.getFileCache(file) || {}).frontmatter;
+      if (!fm || fm.generated !== 'offline' || this.queue.hasActive(file.path)) continue;
+      const origin = fm.origin ? this.app.vault.getAbstractFileByPath(this._linkKey(fm.origin, file)) : null;
+      this.queue.enqueue({ kind: 'upgrade', targetPath: file.path, originPath: origin instanceof TFile ? origin.path : null, sense: fm.sense || null });
+    }
+  }
+
+  /** All attempts used up: insert the local fallback so the user at least gets the From link. */
+  async _onJobExhausted(job) {
+    // A skeleton is no improvement for batch notes, for refining an existing definition,
+    // or for a note that already holds the offline version
+    if (job.kind === 'batch' || job.kind === 'refine' || job.kind === 'upgrade') return false;
+    const target = this.app.vault.getAbstractFileByPath(job.targetPath);
+    if (!(target instanceof TFile)) return false;
+    const originFile = job.originPath ? this.app.vault.getAbstractFileByPath(job.originPath) : null;
     try {
-      if (!text) return text;
-      const lines = text.split('\n');
-      const headerIndex = lines.findIndex((l) => l.trim().toLowerCase() === '## source context (from the note)'.toLowerCase());
-      if (headerIndex === -1) {
-        // Append a minimal Source Context section if missing
-        return `${text.trim()}\n\n## Source Context (From the Note)\n- From: ${originLink}\n`;
+      const plan = await this._planGeneration(target, originFile instanceof TFile ? originFile : target);
+      plan.preview = !!job.preview;
+      return await this._writeFallback(plan);
+    } catch (e) {
+      console.error('Failed to insert fallback template', e);
+      return false;
+    }
+  }
+
+  /** Queue lifecycle notices for single-note jobs; batch jobs report through their modal. */
+  _onJobEvent(job, event, detail) {
+    if (event === 'finish' && detail.status === 'done') this._upgradeOfflineNotes();
+    if (job.kind === 'batch') return;
+    if (job.kind === 'upgrade') {
+      if (event === 'finish' && detail.status === 'done') new Notice(`Replaced offline definition of "${job.targetPath.split('/').pop().replace(/\.md$/, '')}".`);
+      return;
+    }
+    if (event === 'start' && job.attempts === 0) {
+      new Notice('Generating definition…');
+    } else if (event === 'finish') {
+      if (detail.status === 'done') {
+        // "Define this" jobs run for a note that isn't open
+        const what = job.kind === 'define' ? `Definition of "${job.term}"` : 'Definition';
+        new Notice(`${what} inserted.${this._reportSuffix(detail)}`);
       }
-      // Check next few lines for a "- From:" entry; insert if missing
-      const insertionIndex = headerIndex + 1;
-      const alreadyHasFrom = lines.slice(insertionIndex, insertionIndex + 3).some((l) => /^-\s*From\s*:/i.test(l.trim()));
-      if (!alreadyHasFrom) {
-        lines.splice(insertionIndex, 0, `- From: ${originLink}`);
+      else if (detail.status === 'cancelled') new Notice('Generation cancelled.');
+    } else if (event === 'retry') {
+      new Notice(`Definition generation failed; retrying in ${Math.ceil(detail.delay / 1000)}s.`);
+    } else if (event === 'failed') {
+      new Notice(detail.fallback
+        ? 'API unreachable: inserted an offline definition from your notes. It is replaced once the API answers again.'
+        : 'Definition generation failed (see console).');
+    }
+  }
+
+  /** Extra remarks for the completion notice, e.g. " 1 quote could not be verified." */
+  _reportSuffix(detail) {
+    const notes = [];
+    if (detail.sanitizeReport && detail.sanitizeReport.length) notes.push(`Removed from the output: ${this._sanitizeSummary(detail.sanitizeReport)}.`);
+    const unverified = detail.quoteReport ? detail.quoteReport.unverified : 0;
+    if (unverified) notes.push(`${unverified} quote${unverified > 1 ? 's' : ''} could not be verified.`);
+    const orphans = detail.linkReport ? [...new Set(detail.linkReport.orphans)] : [];
+    if (orphans.length) {
+      const shown = orphans.slice(0, 5).map((o) => `[[${o}]]`).join(', ');
+      notes.push(`${orphans.length} link${orphans.length > 1 ? 's' : ''} to missing notes: ${shown}${orphans.length > 5 ? ', …' : ''}.`);
+    }
+    return notes.length ? ` ${notes.join(' ')}` : '';
+  }
+
+  /**
+   * Gather everything needed to generate a definition for `target` from `origin`:
+   * the matching origin rule, its template and model chain, and the rendered prompt.
+   */
+  async _planGeneration(target, origin, options = {}) {
+    const originFile = origin || target;
+    const rule = this._matchRule(originFile);
+    let context = '';
+    try {
+      context = await this.app.vault.read(originFile);
+    } catch (_) {}
+    const language = this._definitionLanguage(originFile, context);
+    const translation = this._languageCode(this.settings.translationLanguage);
+    const template = this._localizeTemplate(await this._getTemplate(rule && rule.template), language, translation);
+    // Disambiguated notes ("Kernel (operating systems)") still define the bare term
+    const term = options.term || target.basename;
+    const originLink = this._computeOriginLinktext(originFile, target);
+    // Placeholders for redacted spans are shared by everything this plan sends
+    const redaction = this._newRedaction();
+    const related = (await this._retrieveRelated(term, options.sense, originFile, context, target))
+      .map((r) => Object.assign({}, r, { text: this._redact(r.text, redaction) }));
+    let prompt = this.buildPrompt(term, this._promptContext(originFile, context, term, undefined, redaction), originLink, template, related, language, translation);
+    if (options.sense) {
+      prompt += `\n\nIntended sense (chosen by the user): "${options.sense}". Define [[${term}]] in this sense only and put "${options.sense}" in the sense field.`;
+    }
+    const linkCandidates = this._rankLinkCandidates(originFile, target, context);
+    prompt += this._linkCandidatesPrompt(linkCandidates);
+    return { target, origin: originFile, rule, template, term, originLink, context, prompt, related, redaction, linkCandidates, sense: options.sense || null, chain: this._ruleChain(rule), language, translation };
+  }
+
+  /**
+   * Existing notes the definition is likely to link to, best first: notes the origin links to
+   * or mentions by name or alias, notes linking to the origin, its link neighbours, and notes
+   * sharing its folder or tags.
+   */
+  _rankLinkCandidates(origin, target, originText, limit = 40) {
+    const resolved = this.app.metadataCache.resolvedLinks || {};
+    const outgoing = resolved[origin.path] || {};
+    const neighbours = new Set();
+    for (const path of Object.keys(outgoing)) {
+      for (const next of Object.keys(resolved[path] || {})) neighbours.add(next);
+    }
+    const originCache = this.app.metadataCache.getFileCache(origin);
+    const originTags = new Set(((originCache && obsidian.getAllTags && obsidian.getAllTags(originCache)) || []).map((t) => t.toLowerCase()));
+    const text = (originText || '').toLowerCase();
+    const folder = origin.parent ? origin.parent.path : '';
+
+    const ranked = [];
+    for (const file of this.app.vault.getMarkdownFiles()) {
+      if (file === target || file.path === target.path || this._isExcluded(file)) continue;
+      const aliases = this._noteAliases(file);
+      let score = 0;
+      if (outgoing[file.path]) score += 4;
+      if (resolved[file.path] && resolved[file.path][origin.path]) score += 3;
+      if ([file.basename, ...aliases].some((name) => name.length > 2 && text.includes(name.toLowerCase()))) score += 2;
+      if (neighbours.has(file.path)) score += 1;
+      if (folder && file.parent && file.parent.path === folder) score += 1;
+      if (originTags.size > 0) {
+        const cache = this.app.metadataCache.getFileCache(file);
+        const tags = (cache && obsidian.getAllTags && obsidian.getAllTags(cache)) || [];
+        if (tags.some((t) => originTags.has(t.toLowerCase()))) score += 1;
       }
-      return lines.join('\n');
-    } catch (_) {
-      return text;
+      if (score > 0) ranked.push({ file, title: file.basename, aliases, score });
     }
+    ranked.sort((x, y) => y.score - x.score || x.title.localeCompare(y.title));
+    return ranked.slice(0, limit);
   }
 
-  _buildLocalTemplate(term, originLink, context) {
-    const safeContext = context || '';
-    return `---
-aliases: ["${term}"]
-tags: ["wiki", "auto"]
-origin: "${originLink}"
-generated: true
-confidence: "0"
-sense: "pending"
----
+  _noteAliases(file) {
+    const cache = this.app.metadataCache.getFileCache(file);
+    const fm = cache && cache.frontmatter;
+    if (!fm) return [];
+    const raw = fm.aliases != null ? fm.aliases : fm.alias;
+    const list = Array.isArray(raw) ? raw : typeof raw === 'string' ? raw.split(',') : [];
+    return list.map((a) => String(a).trim()).filter(Boolean);
+  }
 
-## Term - The term being defined: [[${term}]]
+  _linkCandidatesPrompt(candidates) {
+    if (!candidates || candidates.length === 0) return '';
+    const lines = candidates.map((c) => `- ${c.title}${c.aliases.length ? ` (aliases: ${c.aliases.join(', ')})` : ''}`);
+    return `\n\nExisting notes in the vault, most relevant first. In "Related Concepts" (and anywhere else you link), prefer linking to these titles exactly as written; only link something else if none of them fits:\n${lines.join('\n')}`;
+  }
 
-## One-Sentence Definition
-- <pending>
+  /**
+   * Snap each body link to an existing note when it matches a title or alias up to casing,
+   * spacing and plural forms. Links that still don't resolve are kept, flagged or unlinked
+   * per the "Links to missing notes" setting and reported as orphans.
+   */
+  _resolveLinks(plan, text) {
+    const { frontmatter, body } = this._separateFrontmatter(text);
+    const index = new Map();
+    const add = (name, file) => {
+      const key = this._linkMatchKey(name);
+      if (key && !index.has(key)) index.set(key, file);
+    };
+    // Ranked candidates win ties, then the rest of the vault
+    for (const c of plan.linkCandidates || []) {
+      add(c.title, c.file);
+      c.aliases.forEach((a) => add(a, c.file));
+    }
+    for (const file of this.app.vault.getMarkdownFiles()) {
+      add(file.basename, file);
+      this._noteAliases(file).forEach((a) => add(a, file));
+    }
 
-## Key Points
-- <pending>
+    const mode = this.settings.unresolvedLinkMode || 'flag';
+    const report = { snapped: [], orphans: [] };
+    let inSource = false;
+    const lines = body.split('\n').map((line) => {
+      if (/^#{1,6}\s/.test(line)) inSource = this._isSourceContextHeading(line);
+      // Quotes are verified against the origin and keep the origin's own links
+      if (inSource && /^>/.test(line)) return line;
+      return line.replace(/(!?)\[\[([^\]|#^]*)([#^][^\]|]*)?(?:\|([^\]]*))?\]\]/g, (whole, embed, linkpath, subpath, alias) => {
+        const path = linkpath.trim();
+        if (embed || !path) return whole;
+        if (this.app.metadataCache.getFirstLinkpathDest(path, plan.target.path) || path === plan.term || path === plan.target.basename) return whole;
+        const display = alias != null ? alias : path;
+        const file = index.get(this._linkMatchKey(path));
+        if (file) {
+          const linktext = this.app.metadataCache.fileToLinktext(file, plan.target.path, true);
+          report.snapped.push(`${path} → ${linktext}`);
+          return `[[${linktext}${subpath || ''}${display === linktext ? '' : `|${display}`}]]`;
+        }
+        report.orphans.push(path);
+        if (mode === 'unlink') return display;
+        if (mode === 'flag') return `${whole} *(new note)*`;
+        return whole;
+      });
+    });
+    plan.linkReport = report;
+    return (frontmatter || '') + lines.join('\n');
+  }
 
-## Example / Use (In this note's domain)
-- <pending>
+  /** Split raw frontmatter (including its fences) from the body. */
+  _separateFrontmatter(text) {
+    const m = (text || '').match(/^---\r?\n[\s\S]*?\r?\n---(?:\r?\n|$)/);
+    return m ? { frontmatter: m[0], body: text.slice(m[0].length) } : { frontmatter: null, body: text || '' };
+  }
 
-## Boundaries (Not to confuse with)
-- <pending>
+  /** Comparison key for link matching: case, separators and simple English plurals don't count. */
+  _linkMatchKey(name) {
+    const words = String(name || '')
+      .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[\s_\-–—]+/g, ' ')
+      .replace(/[^\p{L}\p{N} ]/gu, '')
+      .trim()
+      .split(' ');
+    const last = words.pop() || '';
+    const singular = last.length > 4 && last.endsWith('ies') ? `${last.slice(0, -3)}y`
+      : last.length > 4 && /(ses|xes|zes|ches|shes)$/.test(last) ? last.slice(0, -2)
+      : last.length > 3 && last.endsWith('s') && !last.endsWith('ss') ? last.slice(0, -1)
+      : last;
+    return [...words, singular].join(' ');
+  }
 
-## Related Concepts
-- <pending>
+  /** Sanitize and write a model answer. Resolves false if the user discarded it in the preview. */
+  async _writeDefinition(plan, text) {
+    plan.sanitizeReport = [];
+    let definition = this._sanitizeOutput(text, plan.sanitizeReport);
+    // Repair prompts go back to the model, so validation works on the redacted text
+    if (this.settings.validationMode !== 'off') {
+      const checked = await this._validateAndRepair(plan, definition);
+      definition = checked.text;
+      plan.violations = checked.violations;
+    }
+    // Redacted values come back once, and go through the sanitizer like the rest of the answer
+    if (plan.redaction && plan.redaction.originals.size > 0) {
+      definition = this._sanitizeOutput(this._restoreRedactions(plan.redaction, definition), plan.sanitizeReport);
+    }
+    definition = this._ensureSourceContextFromLine(definition, plan.originLink, plan.language);
+    definition = await this._verifyQuotes(plan, definition);
+    definition = this._resolveLinks(plan, definition);
+    return this._commitContent(plan, definition);
+  }
 
-## Source Context (From the Note)
-- From: ${originLink}
-> <pending>
+  /**
+   * Check every quoted line under "Source Context" against the origin note(s). Exact and
+   * close matches become the real origin text (plus a block reference when block IDs may
+   * be written); anything else is marked unverified.
+   */
+  async _verifyQuotes(plan, text) {
+    const origins = (plan.origins || [plan.origin]).filter((f) => f && f !== plan.target);
+    if (origins.length === 0 || this.settings.verifyQuotes === false) return text;
+    const candidates = [];
+    for (const file of origins) {
+      let content = '';
+      try {
+        content = file === plan.origin && plan.context ? plan.context : await this.app.vault.read(file);
+      } catch (_) {}
+      candidates.push(...this._quoteCandidates(file, content));
+    }
 
-## Self-check
-- <pending>
+    const lines = text.split('\n');
+    let inSource = false;
+    const report = { verified: 0, replaced: 0, unverified: 0 };
+    plan.blockIds = [];
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      if (/^#{1,6}\s/.test(line)) {
+        inSource = this._isSourceContextHeading(line);
+        continue;
+      }
+      if (!inSource || !/^>\s*\S/.test(line)) continue;
+      const quote = line.replace(/^>\s*/, '').replace(/\s*\*\(unverified[^)]*\)\*\s*$/, '').trim();
+      if (/^\(.*\)$/.test(quote) || quote === '<pending>') continue;
 
-Originating note context:
-${safeContext}`;
+      const match = this._bestQuoteMatch(quote, candidates);
+      if (!match || match.score < 0.8) {
+        lines[i] = `> ${quote} *(unverified: not found in the origin note)*`;
+        report.unverified++;
+        continue;
+      }
+      const exact = match.score >= 0.999;
+      const verifiedText = exact ? quote : match.candidate.text;
+      if (exact) report.verified++;
+      else report.replaced++;
+      let suffix = '';
+      if (this.settings.allowBlockIds) {
+        const id = match.candidate.blockId || `cwd-${this._hash(match.candidate.blockLine).slice(0, 6)}`;
+        if (!match.candidate.blockId && !plan.blockIds.some((e) => e.id === id && e.file === match.candidate.file)) {
+          plan.blockIds.push({ file: match.candidate.file, line: match.candidate.blockLine, id });
+        }
+        const link = this.app.metadataCache.fileToLinktext(match.candidate.file, plan.target.path, true);
+        suffix = ` ([[${link}#^${id}|source]])`;
+      }
+      lines[i] = `> ${verifiedText}${suffix}`;
+    }
+    plan.quoteReport = report;
+    if (report.unverified > 0) {
+      console.warn(`[Contextual Wiki Definitions] ${report.unverified} unverified quote(s) in "${plan.term}"`);
+    }
+    return lines.join('\n');
+  }
+
+  _isSourceContextHeading(line) {
+    return (this._headingSection(line) || {}).section === 'source';
   }
 
   /**
-   * NETWORKING: HTTP request wrapper using Obsidian requestUrl with fetch fallback
-   * Prefers requestUrl for better Obsidian integration, falls back to fetch if unavailable
+   * Quotable units of an origin note: each non-empty line and each sentence in it, with the
+   * line that would carry the block ID (end of the paragraph, or the list item itself).
    */
-  async _makeRequest(url, options) {    // Prefer Obsidian requestUrl if available (better integration, mobile support)
-    if (typeof requestUrl !== 'undefined' && requestUrl) {
-      try {        // requestUrl doesn't support AbortController, so use Promise.race for timeout
-        const timeoutPromise = new Promise((_, reject) => {
-          setTimeout(() => reject(new Error('Request timeout')), 30000);
+  _quoteCandidates(file, content) {
+    const body = (content || '').replace(/^---\r?\n[\s\S]*?\r?\n---(?:\r?\n|$)/, '');
+    const lines = body.split('\n');
+    const candidates = [];
+    for (let i = 0; i < lines.length; i++) {
+      const raw = lines[i];
+      if (!raw.trim() || /^#{1,6}\s/.test(raw) || /^(```|~~~)/.test(raw.trim())) continue;
+      let end = i;
+      if (!/^\s*([-*+]|\d+\.)\s/.test(raw)) {
+        while (end + 1 < lines.length && lines[end + 1].trim() && !/^\s*([-*+]|\d+\.|#{1,6})\s/.test(lines[end + 1])) end++;
+      }
+      const blockLine = lines[end];
+      const existing = blockLine.match(/\s\^([A-Za-z0-9-]+)\s*$/);
+      const text = raw.replace(/\s\^[A-Za-z0-9-]+\s*$/, '').replace(/^\s*(?:[-*+]|\d+\.|>)\s+/, '').trim();
+      const units = [text, ...text.split(/(?<=[.!?])\s+/)].filter((u, idx, all) => u && all.indexOf(u) === idx);
+      for (const unit of units) {
+        candidates.push({ file, text: unit, norm: this._normalizeQuote(unit), blockLine, blockId: existing ? existing[1] : null });
+      }
+    }
+    return candidates;
+  }
+
+  _normalizeQuote(text) {
+    return text
+      .replace(/\[\[([^\]|]*\|)?([^\]]*)\]\]/g, '$2')
+      .replace(/[*_`~=]/g, '')
+      .replace(/[“”„]/g, '"').replace(/[‘’]/g, "'")
+      .replace(/\s+/g, ' ')
+      .trim()
+      .toLowerCase();
+  }
+
+  /** Best candidate by token Dice similarity; a quote contained in a candidate scores 1. */
+  _bestQuoteMatch(quote, candidates) {
+    const norm = this._normalizeQuote(quote.replace(/^["']|["']$/g, ''));
+    if (!norm) return null;
+    const tokens = norm.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    let best = null;
+    for (const candidate of candidates) {
+      let score;
+      // A few words turn up in many passages; only a quote of some length is verified as a substring
+      if (candidate.norm.includes(norm) && (tokens.length >= 4 || norm === candidate.norm)) {
+        score = 1;
+      } else {
+        const other = candidate.norm.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+        const counts = new Map();
+        for (const t of other) counts.set(t, (counts.get(t) || 0) + 1);
+        let shared = 0;
+        for (const t of tokens) {
+          if (counts.get(t) > 0) {
+            shared++;
+            counts.set(t, counts.get(t) - 1);
+          }
+        }
+        score = tokens.length + other.length ? (2 * shared) / (tokens.length + other.length) : 0;
+      }
+      // Prefer the shorter candidate on ties: a sentence over its whole paragraph
+      if (!best || score > best.score || (score === best.score && candidate.text.length < best.candidate.text.length)) {
+        best = { candidate, score };
+      }
+    }
+    return best;
+  }
+
+  /** Append block IDs for verified quotes to their origin paragraphs, for the quotes `content` (the accepted note) still links. */
+  async _writeBlockIds(plan, content) {
+    const byFile = new Map();
+    for (const entry of plan.blockIds || []) {
+      // Quotes dropped in the preview (e.g. the old Source Context was kept) need no ID
+      if (!content.includes(`#^${entry.id}|`)) continue;
+      if (!byFile.has(entry.file)) byFile.set(entry.file, []);
+      byFile.get(entry.file).push(entry);
+    }
+    for (const [file, entries] of byFile) {
+      try {
+        await this.app.vault.process(file, (text) => {
+          const lines = text.split('\n');
+          for (const entry of entries) {
+            const index = lines.indexOf(entry.line);
+            // The origin changed since the quote was matched; leave it alone
+            if (index === -1 || /\s\^[A-Za-z0-9-]+\s*$/.test(lines[index])) continue;
+            lines[index] = `${lines[index].replace(/\s+$/, '')} ^${entry.id}`;
+          }
+          return lines.join('\n');
         });
+      } catch (e) {
+        console.error('Failed to add block IDs to origin note', file.path, e);
+      }
+    }
+  }
 
-        const requestPromise = requestUrl({
-          url: url,
-          method: options.method || 'POST',
-          headers: options.headers || {},
-          body: options.body || '',
-          throw: false // Don't throw on non-2xx, return response object
+  /** Short stable hash (FNV-1a, hex). */
+  _hash(text) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      h ^= text.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return (h >>> 0).toString(16).padStart(8, '0');
+  }
+
+  /**
+   * Check a definition against the schema of its template and repair what can be repaired:
+   * locally first (section order, bullet caps, YAML quoting, numeric confidence), then, in
+   * 'repair' mode, with one targeted follow-up prompt for what only the model can fix.
+   * Returns { text, violations } with the violations that remain.
+   */
+  async _validateAndRepair(plan, text) {
+    const schema = this._definitionSchema(plan.template, plan);
+    let current = text;
+    let report = this._validateDefinition(current, schema);
+    if (report.length > 0) {
+      current = this._repairDefinition(current, schema);
+      report = this._validateDefinition(current, schema);
+    }
+    if (report.length > 0 && this.settings.validationMode === 'repair' && report.some((v) => v.needsModel)) {
+      const result = await this.queryModel(this._buildRepairPrompt(plan, current, report, schema), { chain: plan.chain });
+      if (result) {
+        const candidate = this._repairDefinition(this._sanitizeOutput(result.text), schema);
+        const candidateReport = this._validateDefinition(candidate, schema);
+        if (candidateReport.length < report.length) {
+          current = candidate;
+          report = candidateReport;
+        }
+      }
+    }
+    const violations = report.map((v) => v.message);
+    if (violations.length > 0) {
+      console.warn(`[Contextual Wiki Definitions] Validation issues in "${plan.term}":`, violations);
+    }
+    return { text: current, violations };
+  }
+
+  /**
+   * Schema derived from the template: required `## ` headings in order, per-section bullet
+   * caps from "(a–b …)" guidance, the global bullet cap and word range from the output
+   * rules, and the frontmatter keys the template asks for.
+   */
+  _definitionSchema(template, plan) {
+    const source = template || DEFAULT_TEMPLATE;
+    const wordRange = source.match(/(\d+)\s*[–-]\s*(\d+)\s*words/i);
+    const globalCap = source.match(/max\s+(\d+)\s+per\s+list/i);
+    const body = source.replace(/%%[\s\S]*?%%\n?/g, '');
+    const note = this._renderTemplate(body, { term: plan.term, origin: plan.originLink, context: '' }, 'prompt');
+    const parsed = this._splitSections(note);
+    const frontmatterKeys = parsed.frontmatter ? parsed.frontmatter.split('\n').map((l) => (l.match(/^([\w-]+):/) || [])[1]).filter(Boolean) : [];
+    const headings = parsed.sections.filter((s) => s.heading).map((s) => {
+      const guidance = s.body.match(/^[-*]\s+\((?:(\d+)\s*[–-]\s*)?(\d+)\s+(?:bullets|items)/m);
+      return { heading: s.heading, key: this._headingKey(s.heading), maxBullets: guidance ? parseInt(guidance[2], 10) : null };
+    });
+    return {
+      headings,
+      frontmatterKeys,
+      minWords: wordRange ? parseInt(wordRange[1], 10) : null,
+      maxWords: wordRange ? parseInt(wordRange[2], 10) : null,
+      maxBullets: globalCap ? parseInt(globalCap[1], 10) : null,
+    };
+  }
+
+  /** Comparable form of a heading: lowercase, unified dashes, cut before links/placeholders. */
+  _headingKey(heading) {
+    return heading.replace(/^#+\s*/, '').split(/\[\[|\{\{/)[0]
+      .replace(/[‐‑‒–—]/g, '-').replace(/\s+/g, ' ').trim().toLowerCase();
+  }
+
+  _validateDefinition(text, schema) {
+    const violations = [];
+    const parsed = this._splitSections(text);
+
+    if (schema.frontmatterKeys.length > 0) {
+      if (parsed.frontmatter == null) {
+        violations.push({ code: 'frontmatter-missing', message: 'Frontmatter is missing' });
+      } else {
+        let fm = null;
+        try {
+          fm = obsidian.parseYaml(parsed.frontmatter);
+        } catch (e) {
+          violations.push({ code: 'frontmatter-yaml', message: 'Frontmatter is not valid YAML' });
+        }
+        if (fm && Object.prototype.hasOwnProperty.call(fm, 'confidence') && schema.frontmatterKeys.includes('confidence')) {
+          const value = fm.confidence;
+          if (typeof value !== 'number' || value < 0 || value > 100) {
+            violations.push({ code: 'confidence', message: `confidence is not a number between 0 and 100 (${JSON.stringify(value)})` });
+          }
+        }
+      }
+    }
+
+    const keys = parsed.sections.filter((s) => s.heading).map((s) => this._headingKey(s.heading));
+    const required = schema.headings.map((h) => h.key);
+    const missing = schema.headings.filter((h) => !keys.includes(h.key));
+    for (const h of missing) {
+      violations.push({ code: 'missing-section', message: `Missing section "${h.heading}"`, needsModel: true, heading: h.heading });
+    }
+    const present = keys.filter((k) => required.includes(k));
+    const expectedOrder = required.filter((k) => present.includes(k));
+    if (present.join('|') !== expectedOrder.join('|')) {
+      violations.push({ code: 'order', message: 'Sections are out of order' });
+    }
+    // Per-sense sections written by "Refine definition" are expected extras
+    const extra = parsed.sections.filter((s) => s.heading && !required.includes(this._headingKey(s.heading)) && !/^##\s+sense\b/i.test(s.heading));
+    for (const s of extra) {
+      violations.push({ code: 'extra-section', message: `Unexpected section "${s.heading}"` });
+    }
+
+    for (const section of parsed.sections) {
+      const cap = this._bulletCap(section.heading, schema);
+      if (!cap) continue;
+      const bullets = section.body.split('\n').filter((l) => /^([-*+]|\d+\.)\s+/.test(l)).length;
+      if (bullets > cap) {
+        violations.push({ code: 'bullets', message: `"${section.heading}" has ${bullets} bullets (max ${cap})` });
+      }
+    }
+
+    if (schema.minWords || schema.maxWords) {
+      const words = this._countDefinitionWords(parsed);
+      if (schema.maxWords && words > schema.maxWords) {
+        violations.push({ code: 'too-long', message: `${words} words (max ${schema.maxWords})`, needsModel: true });
+      } else if (schema.minWords && words < schema.minWords) {
+        violations.push({ code: 'too-short', message: `${words} words (min ${schema.minWords})`, needsModel: true });
+      }
+    }
+    return violations;
+  }
+
+  _bulletCap(heading, schema) {
+    if (!heading) return null;
+    const key = this._headingKey(heading);
+    const entry = schema.headings.find((h) => h.key === key);
+    const caps = [entry && entry.maxBullets, schema.maxBullets].filter((n) => n > 0);
+    return caps.length ? (entry && entry.maxBullets ? entry.maxBullets : Math.min(...caps)) : null;
+  }
+
+  /** Words in the body, excluding headings, quotes, the "- From:" line and the Translation section. */
+  _countDefinitionWords(parsed) {
+    let words = 0;
+    for (const section of parsed.sections) {
+      if (section.heading && (this._headingSection(section.heading) || {}).section === 'translation') continue;
+      for (const line of section.body.split('\n')) {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('>') || FROM_LINE.test(trimmed)) continue;
+        words += trimmed.replace(/^([-*+]|\d+\.)\s+/, '').split(/\s+/).filter(Boolean).length;
+      }
+    }
+    return words;
+  }
+
+  /** Local repairs: fix YAML quoting and confidence, reorder sections, trim bullets over the cap. */
+  _repairDefinition(text, schema) {
+    const parsed = this._splitSections(text);
+    let frontmatter = parsed.frontmatter;
+    if (frontmatter != null) frontmatter = this._repairFrontmatter(frontmatter);
+
+    const order = schema.headings.map((h) => h.key);
+    const rank = (s) => {
+      if (!s.heading) return -1;
+      const index = order.indexOf(this._headingKey(s.heading));
+      if (index !== -1) return index;
+      // Sense sections go right after the term heading; other extras at the end
+      return /^##\s+sense\b/i.test(s.heading) ? 0.5 : order.length;
+    };
+    const sections = parsed.sections
+      .map((s, i) => ({ s, i }))
+      .sort((a, b) => (rank(a.s) - rank(b.s)) || (a.i - b.i))
+      .map(({ s }) => {
+        const cap = this._bulletCap(s.heading, schema);
+        if (!cap) return s;
+        let count = 0;
+        const lines = s.body.split('\n').filter((l) => {
+          if (!/^([-*+]|\d+\.)\s+/.test(l)) return true;
+          count++;
+          return count <= cap;
         });
+        return { heading: s.heading, body: lines.join('\n') };
+      });
 
-        const response = await Promise.race([requestPromise, timeoutPromise]);        // requestUrl returns { status, statusText, headers, text, json, arrayBuffer }
-        // text is a string property containing the response body (or null/undefined if empty)
-        // Convert to fetch-like Response object for compatibility
-        let responseText = '';
-        if (response) {
-          if (typeof response.text === 'string') {
-            responseText = response.text;
-          } else if (response.text != null) {
-            // Handle case where text might be a number or other type
-            responseText = String(response.text);
+    const parts = [];
+    if (frontmatter != null) parts.push(`---\n${frontmatter}\n---`);
+    for (const s of sections) parts.push(s.heading ? `${s.heading}\n${s.body}`.trim() : s.body);
+    return `${parts.filter(Boolean).join('\n\n')}\n`;
+  }
+
+  _repairFrontmatter(yaml) {
+    const lines = yaml.split('\n').map((line) => {
+      const m = line.match(/^([\w-]+):[ \t]*(.*)$/);
+      if (!m) return line;
+      const [, key, raw] = m;
+      let value = raw.trim();
+      if (key === 'confidence') {
+        const num = parseFloat(value.replace(/^["']|["']$/g, ''));
+        return Number.isFinite(num) && !/^["']?\d+\s*-\s*\d+/.test(value) ? `confidence: ${Math.max(0, Math.min(100, Math.round(num)))}` : null;
+      }
+      if (!value) return line;
+      // Wiki links and values with ": " or " #" must be quoted to stay scalar strings
+      let valid = true;
+      try {
+        obsidian.parseYaml(`${key}: ${value}`);
+      } catch (_) {
+        valid = false;
+      }
+      if (valid && !value.startsWith('[[')) return line;
+      if (/^".*"$/.test(value) || /^'.*'$/.test(value)) value = value.slice(1, -1);
+      return `${key}: ${JSON.stringify(value)}`;
+    });
+    return lines.filter((l) => l !== null).join('\n');
+  }
+
+  _buildRepairPrompt(plan, text, violations, schema) {
+    const headings = schema.headings.map((h) => h.heading).join('\n');
+    const range = schema.minWords ? `${schema.minWords}–${schema.maxWords} words (excluding quotes)` : 'the original length limits';
+    return `The definition of [[${plan.term}]] below does not follow the required format. Fix ONLY these problems and return the complete corrected note (frontmatter included), nothing else:
+${violations.map((v) => `- ${v.message}`).join('\n')}
+
+Rules:
+- Required headings, in this order:
+${headings}
+- Total length: ${range}.
+- Keep all facts, links and the quote under "Source Context" unchanged where possible.
+- Use only the originating note context below; do not invent facts.
+
+Definition to fix:
+${text}
+
+Originating note context:
+${this._promptContext(plan.origin, plan.context, plan.term, undefined, plan.redaction)}`;
+  }
+
+  async _writeFallback(plan) {
+    plan.kind = 'offline';
+    plan.provider = 'offline';
+    const extracted = await this._extractOfflineDefinition(plan);
+    const fallback = this._buildLocalTemplate(plan.term, plan.originLink, plan.template, extracted, plan.language);
+    return this._commitContent(plan, fallback);
+  }
+
+  /**
+   * Rule-based offline definition: the sentences mentioning the term in the origin and in
+   * the other notes linking to the target, ranked so definitional ones ("X is…", "X refers
+   * to…") come first, plus the links that appear next to the term.
+   */
+  async _extractOfflineDefinition(plan) {
+    const sources = [plan.origin, ...this._collectOrigins(plan.target)]
+      .filter((f, i, all) => f && f !== plan.target && f.path !== plan.target.path && all.findIndex((g) => g && g.path === f.path) === i)
+      .slice(0, 10);
+    const term = plan.term;
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    // The term as plain text or as a link (with or without alias). No \b: it never matches around "C++" or ".NET"
+    const mention = new RegExp(`\\[\\[${escaped}(?:[#|][^\\]]*)?\\]\\]|(?<![\\p{L}\\p{N}_])${escaped}(?![\\p{L}\\p{N}_])`, 'iu');
+    const subject = `(?:\\[\\[${escaped}(?:[#|][^\\]]*)?\\]\\]|${escaped})`;
+    const definitional = [
+      new RegExp(`^(?:(?:the|a|an)\\s+)?\\**${subject}\\**\\s*(?:\\([^)]*\\)\\s*)?(?:is|are|was|refers to|means|denotes|describes|stands for|is defined as|can be defined as)\\b`, 'i'),
+      new RegExp(`^(?:(?:the|a|an)\\s+)?\\**${subject}\\**\\s*(?::|—|–| - )\\s*\\S`, 'i'),
+      new RegExp(`^(?:(?:the|a|an)\\s+)?\\**${subject}\\**,\\s*(?:a|an|the)\\s`, 'i'),
+      new RegExp(`\\b(?:called|known as|termed|defined as)\\s+(?:an?\\s+|the\\s+)?\\**${subject}`, 'i'),
+    ];
+
+    const sentences = [];
+    const related = [];
+    for (const [index, file] of sources.entries()) {
+      let text = '';
+      try {
+        text = file === plan.origin && plan.context ? plan.context : await this.app.vault.read(file);
+      } catch (_) {
+        continue;
+      }
+      const body = this._separateFrontmatter(text).body;
+      for (const paragraph of body.split(/\n\s*\n/)) {
+        if (!mention.test(paragraph) || /^\s*(```|~~~|%%)/.test(paragraph)) continue;
+        for (const line of paragraph.split('\n')) {
+          if (!mention.test(line) || /^#{1,6}\s/.test(line)) continue;
+          const clean = line.replace(/\s\^[A-Za-z0-9-]+\s*$/, '').replace(/^\s*(?:[-*+]|\d+\.|>)\s+/, '').trim();
+          for (const sentence of clean.split(/(?<=[.!?])\s+(?=[A-Z\[*"“])/)) {
+            if (!mention.test(sentence) || sentence.length < 15) continue;
+            const kind = definitional.findIndex((re) => re.test(sentence));
+            const score = (kind === -1 ? 0 : 10 - kind * 2) + (index === 0 ? 3 : 0) - Math.max(0, sentence.length - 200) / 50;
+            sentences.push({ file, sentence, line: clean, score, definitional: kind !== -1 });
           }
-          // If response.text is null/undefined, responseText stays as ''
-        }        return {
-          ok: response && response.status >= 200 && response.status < 300,
-          status: response?.status || 0,
-          statusText: response?.statusText || '',
-          headers: {
-            get: (name) => {
-              const headerName = name.toLowerCase();
-              const headers = response?.headers || {};
-              // Headers might be object or Map-like
-              if (typeof headers.get === 'function') {
-                return headers.get(headerName) || headers.get(name) || null;
-              }
-              return headers[headerName] || headers[name] || null;
-            }
-          },
-          text: async () => {
+        }
+        // Links next to the term are the best offline guess for related concepts
+        for (const m of paragraph.matchAll(/\[\[([^\]|#^]+)(?:[#^][^\]|]*)?(?:\|[^\]]*)?\]\]/g)) {
+          const linkpath = m[1].trim();
+          if (linkpath.toLowerCase() === term.toLowerCase()) continue;
+          const dest = this.app.metadataCache.getFirstLinkpathDest(linkpath, file.path);
+          if (dest && dest.path === plan.target.path) continue;
+          const link = dest ? this.app.metadataCache.fileToLinktext(dest, plan.target.path, true) : linkpath;
+          if (!related.includes(link)) related.push(link);
+        }
+      }
+    }
+    sentences.sort((x, y) => y.score - x.score);
+    const best = sentences.find((s) => s.definitional) || null;
+    const quote = sentences.find((s) => s.file === plan.origin) || null;
+    const cite = (s) => (s.file === plan.origin ? '' : ` (${this._computeOriginLinktext(s.file, plan.target)})`);
+    const keyPoints = sentences
+      .filter((s) => s !== best && s.sentence !== (quote && quote.sentence))
+      .filter((s, i, all) => all.findIndex((t) => t.sentence === s.sentence) === i)
+      .slice(0, 3)
+      .map((s) => `${s.sentence}${cite(s)}`);
+    return {
+      definition: best ? `${best.sentence}${cite(best)}` : null,
+      quote: quote ? quote.sentence : null,
+      keyPoints,
+      related: related.slice(0, 6),
+    };
+  }
+
+  /**
+   * Write generated content to the plan's target. For regenerations (`plan.preview`) of a
+   * note that already has content, the user reviews the change in a diff modal first.
+   */
+  async _commitContent(plan, content) {
+    let finalContent = content;
+    const before = plan.before != null ? plan.before : await this.app.vault.read(plan.target);
+    if (plan.preview && this.settings.previewRegeneration !== false) {
+      const current = await this.app.vault.read(plan.target);
+      if (current && current.trim()) {
+        finalContent = await new Promise((resolve) => {
+          new DefinitionDiffModal(this.app, this, current, content, resolve).open();
+        });
+        if (finalContent == null) {
+          new Notice('Regeneration discarded.');
+          return false;
+        }
+      }
+    }
+    if (this.app.fileManager.processFrontMatter) {
+      // The plugin owns the frontmatter: the note keeps its own block and the model's block
+      // only proposes values, merged by _applyFrontmatter
+      const proposed = this._separateFrontmatter(finalContent);
+      const existing = this._separateFrontmatter(before);
+      await this.app.vault.modify(plan.target, `${existing.frontmatter || ''}${proposed.body.replace(/^\s*\n/, '')}`);
+      await this._applyFrontmatter(plan, proposed.frontmatter, existing.frontmatter);
+    } else {
+      await this.app.vault.modify(plan.target, finalContent);
+    }
+    await this._applyRuleTags(plan);
+    if (plan.blockIds && plan.blockIds.length > 0) await this._writeBlockIds(plan, finalContent);
+    if (Array.isArray(plan.violations) && this.app.fileManager.processFrontMatter) {
+      try {
+        await this.app.fileManager.processFrontMatter(plan.target, (fm) => {
+          if (plan.violations.length > 0) fm.validation = plan.violations;
+          else delete fm.validation;
+        });
+      } catch (e) {
+        // Frontmatter the repair could not fix; the violations are in the log
+        console.error('Failed to record validation result', e);
+      }
+    }
+    if (this.settings.trackOrigins !== false) {
+      await this._recordOrigins(plan.target, plan.origins || (plan.origin !== plan.target ? [plan.origin] : []));
+    }
+    await this._recordHistory(plan, before);
+    return true;
+  }
+
+  /**
+   * Merge frontmatter after a write. Keys the plugin owns (generated, created, provider,
+   * model, origin) are set by the plugin. Values the model proposed replace a key only if
+   * the user hasn't set it: the key is missing, or still holds what the plugin last wrote
+   * (per the note's history). Static keys from the settings are added when missing.
+   */
+  async _applyFrontmatter(plan, proposedYaml, existingYaml) {
+    const parse = (yaml) => {
+      try {
+        const inner = (yaml || '').replace(/^---\r?\n/, '').replace(/\r?\n---\s*$/, '');
+        const data = inner.trim() ? obsidian.parseYaml(inner) : {};
+        return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+      } catch (_) {
+        return {};
+      }
+    };
+    const proposed = parse(proposedYaml);
+    const existing = parse(existingYaml);
+    const lastWritten = this.history.versions(plan.target.path).find((v) => v.kind !== 'before');
+    const written = lastWritten ? parse(this._separateFrontmatter(lastWritten.output).frontmatter) : {};
+    const userSet = (key) => Object.prototype.hasOwnProperty.call(existing, key)
+      && JSON.stringify(existing[key]) !== JSON.stringify(written[key]);
+    const owned = new Set(['generated', 'created', 'provider', 'model', 'origin', 'origins', 'validation', 'source-hash', 'stale', 'lang', 'card-id']);
+    const statics = parse(this.settings.staticFrontmatter);
+
+    try {
+      await this.app.fileManager.processFrontMatter(plan.target, (fm) => {
+        for (const [key, value] of Object.entries(proposed)) {
+          if (!owned.has(key) && !userSet(key)) fm[key] = value;
+        }
+        // A sense picked by the user beats the model's label
+        if (plan.sense) fm.sense = plan.sense;
+        fm.generated = plan.kind === 'offline' ? 'offline' : true;
+        if (!fm.created) fm.created = UsageLedger.dayKey();
+        if (plan.provider) fm.provider = plan.provider;
+        if (plan.model) fm.model = plan.model;
+        else delete fm.model;
+        if (!fm.origin && plan.origin && plan.origin !== plan.target) fm.origin = plan.originLink;
+        // English is the default and isn't recorded
+        if (plan.language === 'en') delete fm.lang;
+        else if (plan.language) fm.lang = plan.language;
+        // Fingerprint of the origin passages this version is based on (see _staleReasons)
+        if (plan.origin && plan.origin !== plan.target && plan.context) fm['source-hash'] = this._sourceHash(plan.origin, plan.context, plan.term);
+        delete fm.stale;
+        for (const [key, value] of Object.entries(statics)) {
+          if (!Object.prototype.hasOwnProperty.call(fm, key)) fm[key] = value;
+        }
+      });
+    } catch (e) {
+      console.error('Failed to update frontmatter', e);
+    }
+  }
+
+  /** Store the written note (after all frontmatter updates) and, if new to history, what it replaced. */
+  async _recordHistory(plan, before) {
+    try {
+      await this.history.snapshot(plan.target.path, before);
+      await this.history.record(plan.target.path, {
+        kind: plan.kind || 'regenerate',
+        promptHash: plan.prompt ? this._hash(plan.prompt) : null,
+        provider: plan.provider || null,
+        model: plan.model || null,
+        origin: plan.origin && plan.origin !== plan.target ? plan.origin.path : null,
+        output: await this.app.vault.read(plan.target),
+      });
+    } catch (e) {
+      console.error('Failed to record definition history', e);
+    }
+  }
+
+  /** Add origin links to the note's `origins:` frontmatter list (deduplicated by link target). */
+  async _recordOrigins(target, originFiles) {
+    if (!originFiles.length || !this.app.fileManager.processFrontMatter) return;
+    try {
+      await this.app.fileManager.processFrontMatter(target, (fm) => {
+        const list = Array.isArray(fm.origins) ? fm.origins.slice() : (fm.origins ? [fm.origins] : []);
+        const known = new Set(list.map((l) => this._linkKey(l, target)));
+        for (const file of originFiles) {
+          if (known.has(file.path)) continue;
+          list.push(this._computeOriginLinktext(file, target));
+          known.add(file.path);
+        }
+        fm.origins = list;
+      });
+    } catch (e) {
+      console.error('Failed to record origins', e);
+    }
+  }
+
+  /** Resolve a stored "[[link]]" to a file path (or the raw link text when it doesn't resolve). */
+  _linkKey(link, sourceFile) {
+    const text = String(link || '').replace(/^\[\[|\]\]$/g, '').split('|')[0].split('#')[0].trim();
+    const dest = this.app.metadataCache.getFirstLinkpathDest(text, sourceFile.path);
+    return dest ? dest.path : text;
+  }
+
+  /**
+   * Every note that gives context for `target`: the recorded `origin`/`origins` plus a
+   * backlink scan. The definition note itself is excluded.
+   */
+  _collectOrigins(target) {
+    const paths = new Set();
+    const fm = (this.app.metadataCache.getFileCache(target) || {}).frontmatter || {};
+    const recorded = [].concat(fm.origin || [], fm.origins || []);
+    for (const link of recorded) paths.add(this._linkKey(link, target));
+    const resolved = this.app.metadataCache.resolvedLinks || {};
+    for (const source of Object.keys(resolved)) {
+      if (resolved[source] && resolved[source][target.path]) paths.add(source);
+    }
+    paths.delete(target.path);
+    return [...paths]
+      .map((p) => this.app.vault.getAbstractFileByPath(p))
+      .filter((f) => f instanceof TFile && f.extension === 'md');
+  }
+
+  /**
+   * Called when an existing generated definition is opened from `origin`. Records the new
+   * origin and offers to refine the definition with it.
+   */
+  async _noteNewOrigin(file, origin) {
+    if (this.settings.trackOrigins === false) return;
+    const fm = (this.app.metadataCache.getFileCache(file) || {}).frontmatter;
+    if (!fm || !fm.generated) return;
+    const links = (this.app.metadataCache.resolvedLinks[origin.path] || {});
+    if (!links[file.path]) return;
+    const known = [].concat(fm.origin || [], fm.origins || []).map((l) => this._linkKey(l, file));
+    if (known.includes(origin.path)) return;
+
+    await this._recordOrigins(file, [origin]);
+    const fragment = document.createDocumentFragment();
+    fragment.appendText(`"${file.basename}" is now also linked from "${origin.basename}". `);
+    const button = fragment.createEl('button', { text: 'Refine definition' });
+    button.addEventListener('click', () => this.refineDefinition(file));
+    new Notice(fragment, 10000);
+  }
+
+  async refineDefinition(file) {
+    const origins = this._collectOrigins(file);
+    if (origins.length === 0) {
+      new Notice('No origin notes found for this definition.');
+      return;
+    }
+    if (!(await this._confirmBudget())) return;
+    this.queue.enqueue({ kind: 'refine', targetPath: file.path, originPath: origins[0].path, preview: true });
+  }
+
+  /**
+   * Plan a refinement: the current note is the starting point and every origin contributes
+   * a focused context. Divergent senses must become separate sections rather than a blend.
+   */
+  async _planRefinement(target) {
+    const origins = this._collectOrigins(target);
+    const plan = await this._planGeneration(target, origins[0] || target);
+    const existing = await this.app.vault.read(target);
+    const share = Math.max(1000, Math.floor(this._contextBudgetChars() / Math.max(1, origins.length)));
+    const contexts = [];
+    for (const origin of origins) {
+      let text = '';
+      try {
+        text = await this.app.vault.read(origin);
+      } catch (_) {}
+      contexts.push(`### From ${this._computeOriginLinktext(origin, target)}\n${this._promptContext(origin, text, plan.term, share, plan.redaction)}`);
+    }
+    plan.origins = origins;
+    // Origins are already in the context in full
+    plan.related = (plan.related || []).filter((r) => !origins.some((o) => o.path === r.path));
+    plan.prompt = this.buildPrompt(plan.term, contexts.join('\n\n'), plan.originLink, plan.template, plan.related, plan.language, plan.translation) + `
+
+Refinement instructions:
+- The existing definition below is your starting point. Keep what the contexts still support and improve the rest.
+- [[${plan.term}]] is linked from ${origins.length} note(s); ground the definition in all of them, not just the first.
+- If the notes use [[${plan.term}]] in different senses, do not blend them. After the term heading, write one "## Sense: <short label>" section per sense, each with its own one-sentence definition and its own source quote, then keep the remaining sections for the shared meaning.
+
+Existing definition:
+${this._redact(existing, plan.redaction)}` + this._linkCandidatesPrompt(plan.linkCandidates);
+    return plan;
+  }
+
+  /** Split a note into its frontmatter (raw YAML, or null) and `## ` sections; text before the first heading has heading ''. */
+  _splitSections(text) {
+    let body = text || '';
+    let frontmatter = null;
+    const fm = body.match(/^---\r?\n([\s\S]*?)\r?\n---(?:\r?\n|$)/);
+    if (fm) {
+      frontmatter = fm[1];
+      body = body.slice(fm[0].length);
+    }
+    const sections = [];
+    let current = { heading: '', lines: [] };
+    for (const line of body.split('\n')) {
+      if (/^##\s+/.test(line)) {
+        if (current.heading || current.lines.join('').trim()) sections.push(current);
+        current = { heading: line.trim(), lines: [] };
+      } else {
+        current.lines.push(line);
+      }
+    }
+    if (current.heading || current.lines.join('').trim()) sections.push(current);
+    return {
+      frontmatter,
+      sections: sections.map((s) => ({ heading: s.heading, body: s.lines.join('\n').trim() })),
+    };
+  }
+
+  /** Body of the first `## ` section of kind `section` (a `LANGUAGES` heading key) in any language, or ''. */
+  _sectionBody(text, section) {
+    const found = this._splitSections(text).sections
+      .find((s) => /^##\s/.test(s.heading) && (this._headingSection(s.heading) || {}).section === section);
+    return found ? found.body : '';
+  }
+
+  /** Proposed frontmatter wins for keys it sets; keys only the current note has (user-added) are kept. */
+  _mergeFrontmatter(currentYaml, proposedYaml) {
+    if (currentYaml == null) return proposedYaml;
+    if (proposedYaml == null) return currentYaml;
+    try {
+      const current = obsidian.parseYaml(currentYaml) || {};
+      const proposed = obsidian.parseYaml(proposedYaml) || {};
+      const merged = Object.assign({}, proposed);
+      for (const key of Object.keys(current)) {
+        if (!Object.prototype.hasOwnProperty.call(proposed, key)) merged[key] = current[key];
+      }
+      return obsidian.stringifyYaml(merged).trim();
+    } catch (e) {
+      // Unparseable YAML on either side: keep the user's frontmatter untouched
+      console.error('Failed to merge frontmatter', e);
+      return currentYaml;
+    }
+  }
+
+  /** Line-level diff (LCS). Returns [{ type: 'same'|'add'|'del', line }]. */
+  _diffLines(before, after) {
+    const a = (before || '').split('\n');
+    const b = (after || '').split('\n');
+    const dp = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        dp[i][j] = a[i] === b[j] ? dp[i + 1][j + 1] + 1 : Math.max(dp[i + 1][j], dp[i][j + 1]);
+      }
+    }
+    const out = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        out.push({ type: 'same', line: a[i] });
+        i++;
+        j++;
+      } else if (dp[i + 1][j] >= dp[i][j + 1]) {
+        out.push({ type: 'del', line: a[i++] });
+      } else {
+        out.push({ type: 'add', line: b[j++] });
+      }
+    }
+    while (i < a.length) out.push({ type: 'del', line: a[i++] });
+    while (j < b.length) out.push({ type: 'add', line: b[j++] });
+    return out;
+  }
+
+  /**
+   * First enabled rule matching the origin note, or null.
+   * Rules match by folder glob, tag (with or without '#'), or frontmatter key (`key` or `key=value`).
+   */
+  _matchRule(originFile) {
+    const rules = this.settings.rules || [];
+    if (!originFile || rules.length === 0) return null;
+    const cache = this.app.metadataCache.getFileCache(originFile);
+    for (const rule of rules) {
+      if (!rule || rule.enabled === false) continue;
+      const pattern = (rule.pattern || '').trim();
+      if (!pattern) continue;
+      if (rule.matchType === 'tag') {
+        const wanted = pattern.replace(/^#/, '').toLowerCase();
+        const tags = (cache && obsidian.getAllTags ? obsidian.getAllTags(cache) : []) || [];
+        const hit = tags.some((t) => {
+          const tag = t.replace(/^#/, '').toLowerCase();
+          return tag === wanted || tag.startsWith(`${wanted}/`);
+        });
+        if (hit) return rule;
+      } else if (rule.matchType === 'frontmatter') {
+        const fm = cache && cache.frontmatter;
+        if (!fm) continue;
+        const eq = pattern.indexOf('=');
+        const key = (eq === -1 ? pattern : pattern.slice(0, eq)).trim();
+        if (!Object.prototype.hasOwnProperty.call(fm, key)) continue;
+        if (eq === -1) return rule;
+        const expected = pattern.slice(eq + 1).trim().toLowerCase();
+        const values = Array.isArray(fm[key]) ? fm[key] : [fm[key]];
+        if (values.some((v) => String(v).toLowerCase() === expected)) return rule;
+      } else if (this._globToRegExp(pattern).test(originFile.path)) {
+        return rule;
+      }
+    }
+    return null;
+  }
+
+  /** Folder glob: `*` matches within a path segment, `**` across segments; a bare folder matches its contents. */
+  _globToRegExp(glob) {
+    let pattern = glob.replace(/^\/+/, '');
+    if (!/[*?]/.test(pattern)) pattern = `${pattern.replace(/\/+$/, '')}/**`;
+    let re = '';
+    for (let i = 0; i < pattern.length; i++) {
+      const ch = pattern[i];
+      if (ch === '*' && pattern[i + 1] === '*') {
+        re += '.*';
+        i++;
+        if (pattern[i + 1] === '/') i++;
+      } else if (ch === '*') {
+        re += '[^/]*';
+      } else if (ch === '?') {
+        re += '[^/]';
+      } else {
+        re += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      }
+    }
+    return new RegExp(`^${re}$`, 'i');
+  }
+
+  /** A rule naming a provider replaces the global fallback chain with that single provider/model. */
+  _ruleChain(rule) {
+    if (!rule || !rule.provider || !PROVIDERS[rule.provider]) return null;
+    return [ { provider: rule.provider, model: rule.model || '', stream: false } ];
+  }
+
+  async _applyRuleTags(plan) {
+    const tags = ((plan.rule && plan.rule.tags) || '').split(',').map((t) => t.trim().replace(/^#/, '')).filter(Boolean);
+    if (tags.length === 0 || !this.app.fileManager.processFrontMatter) return;
+    try {
+      await this.app.fileManager.processFrontMatter(plan.target, (fm) => {
+        const existing = Array.isArray(fm.tags) ? fm.tags : (fm.tags ? String(fm.tags).split(/[,\s]+/).filter(Boolean) : []);
+        for (const tag of tags) if (!existing.includes(tag)) existing.push(tag);
+        fm.tags = existing;
+      });
+    } catch (e) {
+      console.error('Failed to write rule tags', e);
+    }
+  }
+
+  /**
+   * "Define this": link the selected text and generate the linked note in the background,
+   * with the current note as origin; the origin stays open. `name` (a term, or an existing
+   * note picked with "Define selected text as…") becomes the link target and the selection
+   * its alias.
+   */
+  async defineSelection(editor, origin, name) {
+    const selected = editor.getSelection();
+    // The selection may move during the awaits below; the link goes where the text was selected
+    const from = editor.getCursor('from');
+    const to = editor.getCursor('to');
+    const text = selected.trim();
+    if (!text || text.length > 200 || /[\n[\]|#^]/.test(text)) {
+      new Notice('Select a short phrase on one line, without brackets, to define it.');
+      return;
+    }
+    const term = name instanceof TFile ? name.basename : (name || text).trim();
+    let target = name instanceof TFile ? name : this.app.metadataCache.getFirstLinkpathDest(term, origin.path);
+    const populated = target ? !!(await this.app.vault.read(target)).trim() : false;
+    if (!populated && !(await this._confirmBudget())) return;
+    if (!target) {
+      // Not _createNoteForLink: the origin is open in the editor and has no link to update yet
+      const path = this._notePathForLink(term, origin);
+      await this._ensureFolder(path);
+      const existing = this.app.vault.getAbstractFileByPath(path);
+      target = existing instanceof TFile ? existing : await this.app.vault.create(path, '');
+    }
+    const linkpath = this.app.metadataCache.fileToLinktext(target, origin.path, true);
+    const link = linkpath === text ? `[[${text}]]` : `[[${linkpath}|${text}]]`;
+    if (editor.getRange(from, to) === selected) {
+      // Whitespace around the selection stays outside the link
+      editor.replaceRange(selected.replace(text, () => link), from, to);
+    } else {
+      new Notice(`The text changed while "${target.basename}" was being prepared; link it by hand.`);
+    }
+    if (populated) {
+      new Notice(`Linked to the existing note "${target.basename}".`);
+      return;
+    }
+    this.queue.enqueue({ kind: 'define', targetPath: target.path, originPath: origin.path, term });
+  }
+
+  /**
+   * Hover popover on an unresolved link ("Hover definitions" setting): a one-sentence
+   * definition from the linking note and a button that creates the full note.
+   */
+  _onHoverLink({ hoverParent, targetEl, linktext, sourcePath }) {
+    if (!this.settings.hoverDefinitions || !linktext || !sourcePath || !targetEl || !obsidian.HoverPopover) return;
+    const path = linktext.split('#')[0].trim();
+    if (!path || this.app.metadataCache.getFirstLinkpathDest(path, sourcePath)) return;
+    const origin = this.app.vault.getAbstractFileByPath(sourcePath);
+    if (!(origin instanceof TFile)) return;
+    const term = path.split('/').pop();
+
+    const popover = new obsidian.HoverPopover(hoverParent, targetEl, 300);
+    const el = popover.hoverEl.createDiv({ cls: 'cwd-hover-definition' });
+    el.createEl('strong', { text: term });
+    const body = el.createEl('p', { text: 'Generating a short definition…', cls: 'cwd-hover-pending' });
+    this._hoverDefinition(origin, term)
+      .then((sentence) => {
+        body.setText(sentence);
+        body.removeClass('cwd-hover-pending');
+      })
+      .catch((e) => body.setText(e.message));
+    const button = el.createEl('button', { text: 'Create note', cls: 'mod-cta' });
+    button.addEventListener('click', async () => {
+      popover.hide();
+      if (!(await this._confirmBudget())) return;
+      try {
+        const file = await this._createNoteForLink(path, origin);
+        this.queue.enqueue({ kind: 'define', targetPath: file.path, originPath: origin.path, term });
+      } catch (e) {
+        console.error('Failed to create note for hovered link', e);
+        new Notice(`Could not create "${term}" (see console).`);
+      }
+    });
+  }
+
+  /**
+   * One-sentence definition of `term` as `origin` uses it. Cached per note and term for the
+   * session; failures are not cached, so the next hover tries again.
+   */
+  _hoverDefinition(origin, term) {
+    const key = `${origin.path}\u0000${term.toLowerCase()}`;
+    if (this._hoverDefinitions.has(key)) return this._hoverDefinitions.get(key);
+    const promise = (async () => {
+      const budget = this._budgetStatus();
+      if (budget.exceeded) throw new Error(budget.message);
+      const redaction = this._newRedaction();
+      const text = await this.app.vault.cachedRead(origin);
+      const context = this._promptContext(origin, text, term, 4000, redaction);
+      const language = LANGUAGES[this._definitionLanguage(origin, text)];
+      const prompt = `Define "${term}" in one sentence, as it is used in the note context below. Answer with that sentence only, in plain text${language === LANGUAGES.en ? '' : `, in ${language.name}`}.
+
+Note context:
+${context}`;
+      const result = await this.queryModel(prompt, { chain: this._ruleChain(this._matchRule(origin)) });
+      if (!result || !result.text.trim()) throw new Error('No definition: the API did not answer (see console).');
+      const sentence = this._sanitizeOutput(this._restoreRedactions(redaction, result.text))
+        .replace(/\[\[(?:[^\]|]*\|)?([^\]]*)\]\]/g, '$1')
+        .replace(/[*_`#>]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+      return sentence.length > 400 ? `${sentence.slice(0, 400)}…` : sentence;
+    })();
+    this._hoverDefinitions.set(key, promise);
+    promise.catch(() => this._hoverDefinitions.delete(key));
+    if (this._hoverDefinitions.size > 200) this._hoverDefinitions.delete(this._hoverDefinitions.keys().next().value);
+    return promise;
+  }
+
+  /**
+   * Hash of the origin passages that mention `term`, normalized so that link syntax,
+   * formatting and block IDs (which the plugin may add itself) don't count as changes.
+   */
+  _sourceHash(originFile, text, term) {
+    const cache = originFile ? this.app.metadataCache.getFileCache(originFile) : null;
+    const bodyStart = cache && cache.frontmatterPosition ? cache.frontmatterPosition.end.offset : 0;
+    const ranges = [];
+    for (const offset of this._findTermOffsets(originFile, cache, text || '', term, bodyStart)) {
+      const range = this._paragraphRange(cache, text, offset);
+      if (!ranges.some((r) => r.start === range.start)) ranges.push(range);
+    }
+    ranges.sort((a, b) => a.start - b.start);
+    const passages = ranges.map((r) => this._normalizeQuote(text.slice(r.start, r.end).replace(/\s\^[A-Za-z0-9-]+\s*$/gm, '')));
+    return this._hash(passages.join('\n'));
+  }
+
+  /**
+   * Why `file` no longer matches its origin: the passages it was generated from changed
+   * (per `source-hash:`), or a verified quote under Source Context is gone.
+   */
+  _staleReasons(file, text, originFile, originText, otherOrigins = []) {
+    const reasons = [];
+    const fm = (this.app.metadataCache.getFileCache(file) || {}).frontmatter || {};
+    if (fm['source-hash']) {
+      // The term the hash was computed for: the note name, or the alias of a renamed note
+      const aliases = Array.isArray(fm.aliases) ? fm.aliases : fm.aliases ? [fm.aliases] : [];
+      const terms = [file.basename, ...aliases.map(String)];
+      if (!terms.some((term) => this._sourceHash(originFile, originText, term) === String(fm['source-hash']))) {
+        reasons.push('source passage changed');
+      }
+    }
+    // Refined definitions quote every origin, not just the first
+    const candidates = [{ file: originFile, text: originText }, ...otherOrigins]
+      .flatMap((o) => this._quoteCandidates(o.file, o.text));
+    let inSource = false;
+    for (const line of text.split('\n')) {
+      if (/^#{1,6}\s/.test(line)) {
+        inSource = this._isSourceContextHeading(line);
+        continue;
+      }
+      if (!inSource || !/^>\s*\S/.test(line) || /\*\(unverified[^)]*\)\*\s*$/.test(line)) continue;
+      const quote = line.replace(/^>\s*/, '').replace(/\s*\(\[\[[^\]]*\|source\]\]\)\s*$/, '').trim();
+      if (/^\(.*\)$/.test(quote) || quote === '<pending>') continue;
+      const match = this._bestQuoteMatch(quote, candidates);
+      if (!match || match.score < 0.8) {
+        reasons.push('quoted line removed');
+        break;
+      }
+    }
+    return reasons;
+  }
+
+  /** Compare a definition with its origin and set or clear its `stale:` flag. Resolves to true when stale. */
+  async _checkStaleness(file) {
+    const fm = (this.app.metadataCache.getFileCache(file) || {}).frontmatter;
+    if (!fm || fm.generated !== true || !fm.origin) return false;
+    const origin = this.app.vault.getAbstractFileByPath(this._linkKey(fm.origin, file));
+    if (!(origin instanceof TFile) || origin === file) return false;
+    const others = [];
+    for (const path of new Set(this._originPaths(file, fm))) {
+      const other = this.app.vault.getAbstractFileByPath(path);
+      if (other instanceof TFile && other !== origin && other !== file) others.push({ file: other, text: await this.app.vault.cachedRead(other) });
+    }
+    const reasons = this._staleReasons(file, await this.app.vault.cachedRead(file), origin, await this.app.vault.cachedRead(origin), others);
+    const flag = reasons.join('; ');
+    if ((fm.stale || '') !== flag && this.app.fileManager.processFrontMatter) {
+      await this.app.fileManager.processFrontMatter(file, (data) => {
+        if (flag) data.stale = flag;
+        else delete data.stale;
+      });
+    }
+    return !!flag;
+  }
+
+  /** Paths of a definition's `origin:` and `origins:` links. */
+  _originPaths(file, fm) {
+    return [].concat(fm.origin || [], fm.origins || []).map((link) => this._linkKey(link, file));
+  }
+
+  /** An origin changed: re-check the definitions generated from it a moment later (edits come in bursts). */
+  _queueStaleCheck(file) {
+    if (this.settings.staleCheck === false || !(file instanceof TFile) || file.extension !== 'md') return;
+    clearTimeout(this._staleTimers.get(file.path));
+    this._staleTimers.set(file.path, setTimeout(async () => {
+      this._staleTimers.delete(file.path);
+      for (const path of this.originMap.definitionsOf(file.path)) {
+        const definition = this.app.vault.getAbstractFileByPath(path);
+        if (!(definition instanceof TFile)) continue;
+        try {
+          await this._checkStaleness(definition);
+        } catch (e) {
+          console.error('Staleness check failed', definition.path, e);
+        }
+      }
+    }, 3000));
+  }
+
+  /** Check every generated definition now. Resolves to the number of stale ones. */
+  async checkAllStaleness() {
+    let stale = 0;
+    for (const file of this.app.vault.getMarkdownFiles()) {
+      try {
+        if (await this._checkStaleness(file)) stale++;
+      } catch (e) {
+        console.error('Staleness check failed', file.path, e);
+      }
+    }
+    return stale;
+  }
+
+  /** Notes currently flagged `stale:`, with their reason and origin. */
+  _staleDefinitions() {
+    const list = [];
+    for (const file of this.app.vault.getMarkdownFiles()) {
+      const fm = (this.app.metadataCache.getFileCache(file) || {}).frontmatter;
+      if (!fm || !fm.stale) continue;
+      const origin = fm.origin ? this.app.vault.getAbstractFileByPath(this._linkKey(fm.origin, file)) : null;
+      list.push({ file, reason: String(fm.stale), origin: origin instanceof TFile ? origin : null });
+    }
+    return list.sort((a, b) => a.file.basename.localeCompare(b.file.basename));
+  }
+
+  /**
+   * Regenerate stale definitions from their origin through the queue. One note goes
+   * through the regeneration preview; several are replaced directly after a confirmation.
+   */
+  async regenerateStale(entries) {
+    if (entries.length === 0) return;
+    if (entries.length > 1) {
+      const ok = await new Promise((resolve) => {
+        new ConfirmModal(this.app, {
+          title: 'Regenerate stale definitions',
+          message: `Regenerate ${entries.length} definitions from their origin notes? They are replaced without a preview; earlier versions stay in the definition history.`,
+          confirmText: 'Regenerate all',
+        }, resolve).open();
+      });
+      if (!ok) return;
+    }
+    if (!(await this._confirmBudget())) return;
+    for (const { file, origin } of entries) {
+      const fm = (this.app.metadataCache.getFileCache(file) || {}).frontmatter || {};
+      const sense = typeof fm.sense === 'string' && fm.sense !== 'pending' ? fm.sense : null;
+      this.queue.enqueue({ kind: 'regenerate', targetPath: file.path, originPath: (origin || file).path, preview: entries.length === 1, sense });
+    }
+  }
+
+  async exportFlashcards(all) {
+    try {
+      const { path, written, removed, total } = await this.flashcards.export(all);
+      const dropped = removed > 0 ? ` Removed ${removed} card${removed === 1 ? '' : 's'} of deleted notes.` : '';
+      if (total === 0 && !removed) new Notice('No generated definitions with a One-Sentence Definition to export.');
+      else if (written === 0) new Notice(`No new or changed flashcards (${total} in total).${dropped}`);
+      else new Notice(`Exported ${written} flashcard${written === 1 ? '' : 's'} to ${path}.${dropped}`);
+    } catch (e) {
+      console.error('Flashcard export failed', e);
+      new Notice('Flashcard export failed (see console).');
+    }
+  }
+
+  /**
+   * Create and define every unresolved link found in `originFiles`. Each link is defined
+   * once, with the first note that links to it as origin. Jobs run through the generation
+   * queue; a progress modal follows them.
+   */
+  async defineUnresolvedLinks(originFiles, label) {
+    const jobs = this._collectUnresolvedLinks(originFiles);
+    if (jobs.length === 0) {
+      new Notice('No unresolved links found.');
+      return;
+    }
+    if (!(await this._confirmBudget())) return;
+    const cap = this.settings.batchMaxLinks > 0 ? this.settings.batchMaxLinks : 25;
+    const overCap = Math.max(0, jobs.length - cap);
+    new BatchDefineModal(this.app, this, jobs.slice(0, cap), { label, overCap }).open();
+  }
+
+  _collectUnresolvedLinks(originFiles) {
+    const unresolved = this.app.metadataCache.unresolvedLinks || {};
+    const seen = new Set();
+    const jobs = [];
+    for (const origin of originFiles) {
+      const links = unresolved[origin.path] || {};
+      for (const linktext of Object.keys(links)) {
+        const key = linktext.toLowerCase();
+        if (!linktext.trim() || seen.has(key)) continue;
+        seen.add(key);
+        const dest = this.app.metadataCache.getFirstLinkpathDest(linktext, origin.path);
+        try {
+          const targetPath = dest ? dest.path : this._notePathForLink(linktext, origin);
+          // The file name may follow a naming pattern; the term is always the link's own text
+          jobs.push({ kind: 'batch', linktext, targetPath, originPath: origin.path, term: linktext.split('/').pop() });
+        } catch (e) {
+          console.warn('Skipping unresolved link', linktext, e.message);
+        }
+      }
+    }
+    return jobs;
+  }
+
+  /** Vault path where the note for an unresolved link will be created. */
+  _notePathForLink(linktext, origin) {
+    const raw = linktext.replace(/\.md$/i, '').replace(/[\\:*?"<>|#^[\]]/g, '').trim();
+    if (!raw) throw Object.assign(new Error(`Invalid link name: ${linktext}`), { permanent: true });
+    // A link with a folder ("Topics/Kernel") keeps it; only the file name follows the convention
+    const slash = raw.lastIndexOf('/');
+    const name = `${raw.slice(0, slash + 1)}${this._generatedNoteName(raw.slice(slash + 1))}`;
+    let folder = this._glossaryFolder(origin);
+    if (!folder && !name.includes('/')) {
+      // Same location Obsidian would use when following the link
+      const parent = this.app.fileManager.getNewFileParent(origin.path);
+      folder = parent && !parent.isRoot() ? parent.path : '';
+    }
+    return obsidian.normalizePath(folder ? `${folder}/${name}.md` : `${name}.md`);
+  }
+
+  async _createNoteForLink(linktext, origin) {
+    const path = this._notePathForLink(linktext, origin);
+    await this._ensureFolder(path);
+    const existing = this.app.vault.getAbstractFileByPath(path);
+    if (existing instanceof TFile) return existing;
+    const file = await this.app.vault.create(path, '');
+    await this._retargetLinks(origin, linktext, file);
+    return file;
+  }
+
+  /** Folder for notes generated from `origin`: the matching origin rule's output folder, else the glossary folder. */
+  _glossaryFolder(origin) {
+    const rule = origin ? this._matchRule(origin) : null;
+    const folder = rule && rule.folder ? rule.folder : this.settings.glossaryFolder;
+    return (folder || '').trim().replace(/^\/+|\/+$/g, '');
+  }
+
+  /** File name for a generated note of `term`, per the naming pattern and capitalization settings. */
+  _generatedNoteName(term) {
+    const words = term.trim().split(/\s+/);
+    let name = term.trim();
+    switch (this.settings.fileNameCase) {
+      case 'lower':
+        name = name.toLowerCase();
+        break;
+      case 'title':
+        name = words.map((w) => (w ? w[0].toUpperCase() + w.slice(1) : w)).join(' ');
+        break;
+      case 'sentence':
+        name = name ? name[0].toUpperCase() + name.slice(1) : name;
+        break;
+      case 'kebab':
+        name = words.join('-').toLowerCase();
+        break;
+      default:
+        break;
+    }
+    const pattern = (this.settings.fileNamePattern || '').trim() || '{{term}}';
+    return pattern.replace(/\{\{\s*term\s*\}\}/g, name).replace(/[\\/:*?"<>|#^[\]]/g, '').trim() || name;
+  }
+
+  async _ensureFolder(path) {
+    const dir = path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : '';
+    if (dir && !this.app.vault.getAbstractFileByPath(dir)) await this.app.vault.createFolder(dir);
+  }
+
+  /**
+   * Move a new, still empty note that was created by following a link into the glossary
+   * folder and rename it per the naming convention. Resolves to the (possibly moved) file.
+   */
+  async _placeGeneratedNote(file, origin, term) {
+    const folder = this._glossaryFolder(origin);
+    const suffix = file.basename.slice(term.length); // " (sense)" of disambiguated notes
+    const name = file.basename.startsWith(term) ? `${this._generatedNoteName(term)}${suffix}` : this._generatedNoteName(file.basename);
+    const dir = folder || (file.parent && !file.parent.isRoot() ? file.parent.path : '');
+    const path = obsidian.normalizePath(dir ? `${dir}/${name}.md` : `${name}.md`);
+    if (path === file.path || this.app.vault.getAbstractFileByPath(path)) return file;
+    if ((await this.app.vault.read(file)).trim()) return file;
+    const oldLinktext = file.basename;
+    await this._ensureFolder(path);
+    await this.app.fileManager.renameFile(file, path);
+    if (origin && origin.path !== file.path) await this._retargetLinks(origin, oldLinktext, file);
+    return file;
+  }
+
+  /**
+   * Point `[[linktext]]` links in `origin` at `file` when its name no longer matches them
+   * (keeping the original text as the alias). Links Obsidian already updated are left alone.
+   */
+  async _retargetLinks(origin, linktext, file) {
+    const old = linktext.replace(/\.md$/i, '').trim();
+    if (!old || old.toLowerCase() === file.basename.toLowerCase()) return;
+    const escaped = old.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const re = new RegExp(`\\[\\[${escaped}((?:#[^\\]|]*)?)(\\|[^\\]]*)?\\]\\]`, 'gi');
+    const linkpath = this.app.metadataCache.fileToLinktext(file, origin.path, true);
+    try {
+      await this.app.vault.process(origin, (text) => text.replace(re, (m, subpath, alias) => `[[${linkpath}${subpath || ''}${alias || `|${old}`}]]`));
+    } catch (e) {
+      console.error('Failed to update links in origin note', origin.path, e);
+    }
+  }
+
+  /** Write the built-in template into the vault so it can be edited and selected in settings. */
+  async createTemplateNote() {
+    try {
+      const configured = (this.settings.templatePath || '').trim();
+      const configuredTarget = configured ? this.app.vault.getAbstractFileByPath(configured) : null;
+      const folder = configuredTarget instanceof TFolder ? configuredTarget.path : '';
+      let path = folder ? `${folder}/Definition Template.md` : 'Definition Template.md';
+      for (let n = 2; this.app.vault.getAbstractFileByPath(path); n++) {
+        path = folder ? `${folder}/Definition Template ${n}.md` : `Definition Template ${n}.md`;
+      }
+      const file = await this.app.vault.create(path, DEFAULT_TEMPLATE);
+      if (!configured) {
+        this.settings.templatePath = file.path;
+        await this.saveSettings();
+      }
+      await this.app.workspace.getLeaf(false).openFile(file);
+      new Notice(`Template created: ${file.path}`);
+    } catch (e) {
+      console.error('Failed to create template note', e);
+      new Notice('Could not create template note (see console).');
+    }
+  }
+
+  _computeOriginLinktext(originFile, targetFile) {
+    try {
+      if (!originFile) return '[[Unknown Origin]]';
+      const sourcePath = targetFile && targetFile.path ? targetFile.path : '';
+      const linktext = this.app.metadataCache.fileToLinktext(originFile, sourcePath, false);
+      return `[[${linktext}]]`;
+    } catch (_) {
+      return originFile && originFile.basename ? `[[${originFile.basename}]]` : '[[Unknown Origin]]';
+    }
+  }
+
+  /** Source Context heading (in any supported language) followed by a "- From:" line; added in `language` when missing. */
+  _ensureSourceContextFromLine(text, originLink, language) {
+    try {
+      if (!text) return text;
+      const lang = LANGUAGES[language] || LANGUAGES.en;
+      const lines = text.split('\n');
+      const headerIndex = lines.findIndex((l) => /^##\s/.test(l.trim()) && this._isSourceContextHeading(l.trim()));
+      if (headerIndex === -1) {
+        // Append a minimal Source Context section if missing
+        return `${text.trim()}\n\n## ${lang.headings.source}\n- ${lang.from}: ${originLink}\n`;
+      }
+      // Check next few lines for a "- From:" entry; insert if missing
+      const insertionIndex = headerIndex + 1;
+      const alreadyHasFrom = lines.slice(insertionIndex, insertionIndex + 3).some((l) => FROM_LINE.test(l.trim()));
+      if (!alreadyHasFrom) {
+        lines.splice(insertionIndex, 0, `- ${lang.from}: ${originLink}`);
+      }
+      return lines.join('\n');
+    } catch (_) {
+      return text;
+    }
+  }
+
+  /**
+   * Offline note from the template: "<pending>" guidance, with the sections the extraction
+   * could fill replaced by real sentences and links. The raw origin context is left out.
+   */
+  _buildLocalTemplate(term, originLink, template, extracted, language) {
+    // Drop the {{context}} line together with a label line right above it
+    const source = (template || DEFAULT_TEMPLATE).replace(/(?:^[^\n#>*-][^\n]*:[ \t]*\n)?^[^\n]*\{\{\s*context\s*\}\}[^\n]*(?:\n|$)/m, '');
+    let note = this._renderTemplate(source, { term, origin: originLink, context: '' }, 'note');
+    const found = extracted || {};
+    const from = (LANGUAGES[language] || LANGUAGES.en).from;
+    const fills = {
+      definition: found.definition ? [`- ${found.definition}`] : null,
+      keyPoints: found.keyPoints && found.keyPoints.length ? found.keyPoints.map((p) => `- ${p}`) : null,
+      related: found.related && found.related.length ? found.related.map((l) => `- [[${l}]]`) : null,
+      source: found.quote ? [`- ${from}: ${originLink}`, `> ${found.quote}`] : null,
+    };
+    const lines = note.split('\n');
+    const out = [];
+    for (let i = 0; i < lines.length; i++) {
+      out.push(lines[i]);
+      if (!/^#{1,6}\s/.test(lines[i])) continue;
+      const key = (this._headingSection(lines[i]) || {}).section;
+      if (!key || !fills[key]) continue;
+      // Replace the section body up to the next heading
+      let end = i + 1;
+      while (end < lines.length && !/^#{1,6}\s/.test(lines[end])) end++;
+      out.push(...fills[key], '');
+      i = end - 1;
+    }
+    note = out.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+    // Mark it for the automatic upgrade once the API answers again
+    note = /^---\n[\s\S]*?^generated:.*$/m.test(note)
+      ? note.replace(/^(---\n[\s\S]*?)^generated:.*$/m, '$1generated: offline')
+      : note.replace(/^---\n/, '---\ngenerated: offline\n');
+    return `${this._ensureSourceContextFromLine(note, originLink, language).trim()}\n`;
+  }
+
+  /**
+   * NETWORKING: HTTP request wrapper using Obsidian requestUrl with fetch fallback
+   * Prefers requestUrl for better Obsidian integration, falls back to fetch if unavailable
+   */
+  async _makeRequest(url, options) {    // Prefer Obsidian requestUrl if available (better integration, mobile support)
+    if (typeof requestUrl !== 'undefined' && requestUrl) {
+      try {        // requestUrl doesn't support AbortController, so use Promise.race for timeout
+        const timeoutPromise = new Promise((_, reject) => {
+          setTimeout(() => reject(new Error('Request timeout')), 30000);
+        });
+
+        const requestPromise = requestUrl({
+          url: url,
+          method: options.method || 'POST',
+          headers: options.headers || {},
+          body: options.body || '',
+          throw: false // Don't throw on non-2xx, return response object
+        });
+
+        const response = await Promise.race([requestPromise, timeoutPromise]);        // requestUrl returns { status, statusText, headers, text, json, arrayBuffer }
+        // text is a string property containing the response body (or null/undefined if empty)
+        // Convert to fetch-like Response object for compatibility
+        let responseText = '';
+        if (response) {
+          if (typeof response.text === 'string') {
+            responseText = response.text;
+          } else if (response.text != null) {
+            // Handle case where text might be a number or other type
+            responseText = String(response.text);
+          }
+          // If response.text is null/undefined, responseText stays as ''
+        }        return {
+          ok: response && response.status >= 200 && response.status < 300,
+          status: response?.status || 0,
+          statusText: response?.statusText || '',
+          headers: {
+            get: (name) => {
+              const headerName = name.toLowerCase();
+              const headers = response?.headers || {};
+              // Headers might be object or Map-like
+              if (typeof headers.get === 'function') {
+                return headers.get(headerName) || headers.get(name) || null;
+              }
+              return headers[headerName] || headers[name] || null;
+            }
+          },
+          text: async () => {
             // BUG FIX: Ensure we never return null - always return a string
             return responseText || '';
           },
@@ -458,309 +2813,4097 @@ ${safeContext}`;
               return {};
             }
           }
-        };
-      } catch (e) {        // Fallback to fetch if requestUrl fails or times out
-        if (e.message === 'Request timeout') throw e;
-        // Continue to fetch fallback on other errors
+        };
+      } catch (e) {        // Fallback to fetch if requestUrl fails or times out
+        if (e.message === 'Request timeout') throw e;
+        // Continue to fetch fallback on other errors
+      }
+    }
+
+    // Fallback to fetch (for compatibility or if requestUrl unavailable)
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), 30000);
+    try {
+      const res = await fetch(url, {
+        ...options,
+        signal: controller.signal
+      });
+      clearTimeout(timeout);
+      return res;
+    } catch (e) {
+      clearTimeout(timeout);
+      throw e;
+    }
+  }
+
+  /**
+   * Run the prompt through the configured fallback chain.
+   * Each entry is a provider/model pair; the first non-empty answer wins.
+   * With `options.onChunk`, responses are streamed and the accumulated text is passed
+   * to it as it grows; `options.signal` cancels the stream.
+   * Returns { text, provider, model } or null when every attempt failed.
+   */
+  async queryModel(prompt, options = {}) {
+    const chain = (options.chain && options.chain.length) ? options.chain : this.settings.fallbackChain;
+    if (!chain || chain.length === 0) return null;
+    const errors = options.errors || [];
+
+    for (let i = 0; i < chain.length; i++) {
+      const entry = chain[i];
+      const config = this._getProviderConfig(entry.provider);
+      if (!config) continue;
+      // Skip providers that require a key when none is configured
+      if (PROVIDERS[entry.provider].requiresKey && !config.apiKey) continue;
+      // Skip providers still cooling down after a 429; the queue retries once they recover
+      const cooldown = this._cooldowns.get(entry.provider) || 0;
+      if (cooldown > Date.now()) {
+        errors.push({ provider: entry.provider, message: `${PROVIDERS[entry.provider].label} is rate limited`, retryAfter: cooldown - Date.now() });
+        continue;
+      }
+      const model = entry.model || config.model;
+      if (options.onChunk) {
+        try {
+          const text = await this._streamProvider(entry.provider, config, model, prompt, options.onChunk, options.signal, errors);
+          if (text) return { text, provider: entry.provider, model };
+          continue;
+        } catch (e) {
+          if (options.signal && options.signal.aborted) {
+            return { text: e.partial || '', provider: entry.provider, model, cancelled: true };
+          }
+          // A stalled server won't do better buffered; try the next provider
+          if (e.stalled) {
+            errors.push({ provider: entry.provider, message: e.message });
+            continue;
+          }
+          // Streaming unavailable here (e.g. CORS on fetch); fall back to the buffered request
+        }
+      }
+      try {
+        const text = await this._callProvider(entry.provider, config, model, prompt, !!entry.stream, i + 1, errors);
+        if (text) {
+          if (options.onChunk) options.onChunk(text);
+          return { text, provider: entry.provider, model };
+        }
+      } catch (e) {
+        errors.push({ provider: entry.provider, message: e && e.message ? e.message : String(e) });
+        // Silently continue to next attempt
+      }
+      if (options.signal && options.signal.aborted) return { text: '', provider: entry.provider, model, cancelled: true };
+    }
+
+    // Only log error if ALL attempts failed
+    console.warn('Contextual Wiki Definitions: All API attempts failed. Check your provider settings and network connection.');
+    return null;
+  }
+
+  /** Wait until a request fits within the requests-per-minute limit (sliding one-minute window). */
+  async _acquireRequestSlot() {
+    const limit = this.settings.requestsPerMinute;
+    if (!(limit > 0)) return;
+    for (;;) {
+      const now = Date.now();
+      this._requestTimes = this._requestTimes.filter((t) => now - t < 60000);
+      if (this._requestTimes.length < limit) {
+        this._requestTimes.push(now);
+        return;
+      }
+      await new Promise((resolve) => setTimeout(resolve, 60000 - (now - this._requestTimes[0]) + 10));
+    }
+  }
+
+  /** Record a non-OK response; 429/503 put the provider on cooldown for Retry-After (or 30s). */
+  _recordFailure(provider, res, snippet, errors) {
+    const retryAfter = this._parseRetryAfter(res.headers.get('retry-after'));
+    const error = { provider, status: res.status, message: `${PROVIDERS[provider].label} returned HTTP ${res.status}`, retryAfter: 0 };
+    if (res.status === 429 || res.status === 503) {
+      error.retryAfter = retryAfter || 30000;
+      this._cooldowns.set(provider, Date.now() + error.retryAfter);
+    } else if (retryAfter) {
+      error.retryAfter = retryAfter;
+    }
+    if (snippet) error.message += `: ${snippet.slice(0, 120)}`;
+    if (errors) errors.push(error);
+  }
+
+  /** Retry-After as milliseconds; accepts delta-seconds or an HTTP date. */
+  _parseRetryAfter(value) {
+    if (!value) return 0;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? 0 : Math.max(0, date - Date.now());
+  }
+
+  /** Token counts from a JSON body: OpenAI prompt/completion_tokens or Anthropic input/output_tokens. */
+  _usageFromBody(data) {
+    const u = data && data.usage;
+    if (!u) return null;
+    const prompt = u.prompt_tokens != null ? u.prompt_tokens : u.input_tokens;
+    const completion = u.completion_tokens != null ? u.completion_tokens : u.output_tokens;
+    if (prompt == null && completion == null) return null;
+    return { prompt: prompt || 0, completion: completion || 0 };
+  }
+
+  /**
+   * Merge the usage carried by one SSE line into `usage`. OpenAI sends it in the last chunk;
+   * Anthropic sends input tokens in message_start and the output count in message_delta.
+   */
+  _mergeSseUsage(usage, rawLine) {
+    const line = (rawLine || '').trim();
+    if (!line.startsWith('data:')) return usage;
+    try {
+      const evt = JSON.parse(line.slice(5).trim());
+      const u = (evt && evt.usage) || (evt && evt.message && evt.message.usage);
+      if (!u) return usage;
+      const next = Object.assign({ prompt: 0, completion: 0 }, usage);
+      if (u.prompt_tokens != null) next.prompt = u.prompt_tokens;
+      if (u.input_tokens != null) next.prompt = u.input_tokens;
+      if (u.completion_tokens != null) next.completion = u.completion_tokens;
+      if (u.output_tokens != null) next.completion = u.output_tokens;
+      return next;
+    } catch (_) {
+      return usage;
+    }
+  }
+
+  /** Record one request's tokens (estimated at ~4 characters per token when the response had none) and cost. */
+  _recordUsage(provider, model, prompt, output, usage, kind = 'generation') {
+    const estimated = !usage;
+    const promptTokens = usage ? usage.prompt : Math.ceil((prompt || '').length / 4);
+    const completionTokens = usage ? usage.completion : Math.ceil((output || '').length / 4);
+    const price = (this.settings.prices || {})[provider] || {};
+    const cost = (promptTokens * (Number(price.input) || 0) + completionTokens * (Number(price.output) || 0)) / 1e6;
+    this.usage.add({ provider, model, kind, promptTokens, completionTokens, estimated, cost });
+  }
+
+  /** Whether today's or this month's spending reached its budget (in cost or tokens, per settings). */
+  _budgetStatus() {
+    const s = this.settings;
+    const unit = s.budgetUnit === 'tokens' ? 'tokens' : 'cost';
+    const measure = (t) => (unit === 'tokens' ? t.promptTokens + t.completionTokens : t.cost);
+    const format = (v) => (unit === 'tokens' ? `${Math.round(v).toLocaleString()} tokens` : `${s.currency || '$'}${v.toFixed(2)}`);
+    const day = measure(this.usage.totals('day'));
+    const month = measure(this.usage.totals('month'));
+    if (s.dailyBudget > 0 && day >= s.dailyBudget) {
+      return { exceeded: true, message: `Daily budget reached (${format(day)} of ${format(s.dailyBudget)}).` };
+    }
+    if (s.monthlyBudget > 0 && month >= s.monthlyBudget) {
+      return { exceeded: true, message: `Monthly budget reached (${format(month)} of ${format(s.monthlyBudget)}).` };
+    }
+    return { exceeded: false, message: '' };
+  }
+
+  /** For manual commands: true when within budget, otherwise ask whether to generate anyway. */
+  async _confirmBudget() {
+    const budget = this._budgetStatus();
+    if (!budget.exceeded) return true;
+    return new Promise((resolve) => {
+      new ConfirmModal(this.app, {
+        title: 'Budget exceeded',
+        message: `${budget.message} Generate anyway?`,
+        confirmText: 'Generate anyway',
+      }, resolve).open();
+    });
+  }
+
+  _getProviderConfig(provider) {
+    if (!PROVIDERS[provider]) return null;
+    if (provider === 'copilot') {
+      // The Copilot provider keeps using the original license key setting
+      return Object.assign({}, this.settings.providers.copilot, { apiKey: this.settings.licenseKey });
+    }
+    return this.settings.providers[provider] || null;
+  }
+
+  _buildProviderRequest(provider, config, model, prompt, stream) {
+    const apiKey = config.apiKey || '';
+    // Values saved before the per-format limit was enforced are clamped (Anthropic accepts 0–1)
+    const temperature = Math.min(Number.isFinite(config.temperature) ? config.temperature : 0.2, PROVIDERS[provider].format === 'anthropic' ? 1 : 2);
+    const maxTokens = config.maxTokens > 0 ? config.maxTokens : undefined;
+    const baseUrl = (config.baseUrl || PROVIDERS[provider].baseUrl).replace(/\/+$/, '');
+
+    if (PROVIDERS[provider].format === 'anthropic') {
+      return {
+        url: `${baseUrl}/messages`,
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': stream ? 'text/event-stream,*/*' : 'application/json',
+          'x-api-key': apiKey,
+          'anthropic-version': '2023-06-01',
+          'anthropic-dangerous-direct-browser-access': 'true',
+        },
+        body: JSON.stringify({
+          model,
+          stream,
+          temperature,
+          max_tokens: maxTokens || 1024, // Required by the Messages API
+          messages: [ { role: 'user', content: prompt } ]
+        })
+      };
+    }
+
+    const headers = {
+      'Content-Type': 'application/json',
+      'Accept': stream ? 'text/event-stream,*/*' : 'application/json',
+    };
+    if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+    const body = {
+      model,
+      stream,
+      temperature,
+      messages: [ { role: 'user', content: prompt } ]
+    };
+    if (maxTokens) body.max_tokens = maxTokens;
+    // Without this, OpenAI-compatible streams carry no token counts (see _mergeSseUsage)
+    if (stream) body.stream_options = { include_usage: true };
+    return { url: `${baseUrl}/chat/completions`, headers, body: JSON.stringify(body) };
+  }
+
+  async _callProvider(provider, config, model, prompt, stream, attempt, errors) {
+    const request = this._buildProviderRequest(provider, config, model, prompt, stream);
+    await this._acquireRequestSlot();
+    const res = await this._makeRequest(request.url, {
+      method: 'POST',
+      headers: request.headers,
+      body: request.body
+    });
+
+    if (!res.ok) {
+      // SECURITY: Reduce sensitive logging - only log status + short snippet
+      const errorText = await res.text();
+      const snippet = errorText ? errorText.slice(0, 300) : '';
+      console.error(`${PROVIDERS[provider].label} non-OK response (${attempt})`, res.status, snippet + (errorText && errorText.length > 300 ? '...' : ''));
+      this._recordFailure(provider, res, snippet, errors);
+      return null;
+    }
+
+    const contentType = (res.headers.get('content-type') || '').toLowerCase();
+    const text = await res.text();
+    // BUG FIX: Handle null/undefined text responses
+    if (!text) return null;
+
+    let out;
+    let usage = null;
+    if (contentType.includes('text/event-stream') || text.startsWith('data:') || text.startsWith('event:')) {
+      out = this._parseSseText(text);
+      usage = text.split('\n').reduce((u, line) => this._mergeSseUsage(u, line), null);
+    } else {
+      try {
+        const data = JSON.parse(text);
+        out = this._extractMessageContent(data) || '';
+        usage = this._usageFromBody(data);
+      } catch (_) {
+        // Some servers stream even when asked not to; try SSE parsing as a last resort
+        out = this._parseSseText(text);
+        usage = text.split('\n').reduce((u, line) => this._mergeSseUsage(u, line), null);
+      }
+    }
+    this._recordUsage(provider, model, prompt, out, usage);
+    return out.trim() ? out.trim() : null;
+  }
+
+  /** Pull the assistant text out of an OpenAI-style or Anthropic-style JSON body. */
+  _extractMessageContent(data) {
+    if (!data) return null;
+    const msg = data.choices && data.choices[0] && data.choices[0].message;
+    if (msg && msg.content) return msg.content;
+    if (Array.isArray(data.content)) {
+      return data.content.filter((b) => b && b.type === 'text').map((b) => b.text || '').join('');
+    }
+    return null;
+  }
+
+  /** Concatenate the deltas of a buffered SSE body (OpenAI and Anthropic event shapes). */
+  _parseSseText(text) {
+    let out = '';
+    for (const rawLine of (text || '').split('\n')) {
+      out += this._parseSseLine(rawLine);
+    }
+    return out;
+  }
+
+  _parseSseLine(rawLine) {
+    const line = rawLine.trim();
+    if (!line.startsWith('data:')) return '';
+    const payload = line.slice(5).trim();
+    if (!payload || payload === '[DONE]') return '';
+    try {
+      const evt = JSON.parse(payload);
+      const choice = evt.choices && evt.choices[0];
+      const delta = choice && (choice.delta || choice.message);
+      if (delta && delta.content) return delta.content;
+      // Anthropic: { type: 'content_block_delta', delta: { type: 'text_delta', text } }
+      if (evt.type === 'content_block_delta' && evt.delta && evt.delta.text) return evt.delta.text;
+    } catch (_) {}
+    return '';
+  }
+
+  /**
+   * Run a planned generation. When streaming is enabled and the target note is open in an
+   * editor, chunks are written into the editor as they arrive; otherwise the buffered path is used.
+   * Resolves to the queryModel result, `{ text, cancelled: true }` on cancel, or null.
+   * `options.controller` lets the queue cancel the job; `options.errors` collects failures.
+   */
+  async _runGeneration(plan, options = {}) {
+    const controller = options.controller || new AbortController();
+    const view = this._streamingView(plan);
+    if (!view) {
+      this._activeStreams.add(controller);
+      try {
+        const result = await this.queryModel(plan.prompt, { chain: plan.chain, errors: options.errors, signal: controller.signal });
+        // Buffered requests can't be interrupted; drop the answer if cancel was requested meanwhile
+        if (controller.signal.aborted) return { text: result ? result.text : '', cancelled: true };
+        return result;
+      } finally {
+        this._activeStreams.delete(controller);
+      }
+    }
+
+    this._activeStreams.add(controller);
+    const editor = view.editor;
+    let written = '';
+    const render = (buffer) => {
+      const safe = this._streamSafePrefix(buffer);
+      if (safe === written) return;
+      if (safe.startsWith(written)) {
+        const lastLine = editor.lastLine();
+        editor.replaceRange(safe.slice(written.length), { line: lastLine, ch: editor.getLine(lastLine).length });
+      } else {
+        editor.setValue(safe);
+      }
+      written = safe;
+      this._setStatus(`Generating definition… ${buffer.length} chars`);
+    };
+
+    let result = null;
+    try {
+      editor.setValue('');
+      this._setStatus('Generating definition…');
+      result = await this.queryModel(plan.prompt, { chain: plan.chain, onChunk: render, signal: controller.signal, errors: options.errors });
+      return result;
+    } finally {
+      this._activeStreams.delete(controller);
+      this._setStatus(null);
+      // Every provider failed: a half-written answer must not stay in the note (or pass as populated on retry)
+      if (!result) {
+        if (view.file && view.file.path === plan.target.path) editor.setValue(plan.before || '');
+        else await this.app.vault.modify(plan.target, plan.before || '');
+      }
+    }
+  }
+
+  /** Markdown view a generation streams into, or null when its answer is fetched buffered. */
+  _streamingView(plan) {
+    const view = this._findMarkdownView(plan.target);
+    // Regenerations that will be previewed must not overwrite the note while streaming
+    if (plan.preview || !this.settings.streamOutput || !view || !view.editor || !this._canStream()) return null;
+    return view;
+  }
+
+  /** First request `entry` of the chain sends for `plan`: a streamed run asks for a stream whatever the entry says. */
+  _planRequest(plan, entry) {
+    const config = this._getProviderConfig(entry.provider);
+    return this._buildProviderRequest(entry.provider, config, entry.model || config.model, plan.prompt, !!this._streamingView(plan) || !!entry.stream);
+  }
+
+  _canStream() {
+    return typeof fetch === 'function' && typeof ReadableStream !== 'undefined' && typeof TextDecoder !== 'undefined';
+  }
+
+  _findMarkdownView(file) {
+    if (!file) return null;
+    const leaf = this.app.workspace.getLeavesOfType('markdown').find((l) => l.view && l.view.file && l.view.file.path === file.path);
+    return leaf ? leaf.view : null;
+  }
+
+  _setStatus(text) {
+    if (!this._statusBarEl) return;
+    if (text) {
+      this._statusBarEl.setText(text);
+      this._statusBarEl.show();
+    } else {
+      this._statusBarEl.setText('');
+      this._statusBarEl.hide();
+    }
+  }
+
+  /**
+   * SECURITY: The part of a partial stream that is safe to show in the editor.
+   * Sanitizes what has arrived and holds back an unclosed code fence or a half-written
+   * HTML tag, which would otherwise render before the sanitizer could see the whole block.
+   */
+  _streamSafePrefix(buffer) {
+    let text = buffer || '';
+    const fenceRe = /^[ \t]*(`{3,}|~{3,})/gm;
+    let open = null;
+    let m;
+    while ((m = fenceRe.exec(text)) !== null) {
+      if (!open) {
+        open = { index: m.index, marker: m[1] };
+      } else if (m[1][0] === open.marker[0] && m[1].length >= open.marker.length) {
+        open = null;
+      }
+    }
+    if (open) text = text.slice(0, open.index);
+    const openTag = text.lastIndexOf('<');
+    if (openTag !== -1 && text.indexOf('>', openTag) === -1) text = text.slice(0, openTag);
+    return this._sanitizeOutput(text);
+  }
+
+  /**
+   * Stream one provider response with fetch + ReadableStream, feeding each SSE line through
+   * the same delta parser as the buffered path. Non-SSE responses are parsed as JSON.
+   */
+  async _streamProvider(provider, config, model, prompt, onChunk, signal, errors) {
+    const request = this._buildProviderRequest(provider, config, model, prompt, true);
+    await this._acquireRequestSlot();
+    // A server that accepts the connection and then stalls must not hold the queue slot forever:
+    // abort when nothing has arrived for 30 s
+    const stall = new AbortController();
+    const cancel = () => stall.abort();
+    if (signal) {
+      if (signal.aborted) stall.abort();
+      signal.addEventListener('abort', cancel);
+    }
+    let idle = null;
+    const touch = () => {
+      clearTimeout(idle);
+      idle = setTimeout(() => stall.abort(), 30000);
+    };
+    const stalled = () => Object.assign(new Error(`${PROVIDERS[provider].label} stream stalled (no data for 30 s)`), { stalled: true });
+    touch();
+    try {
+      let res;
+      try {
+        res = await fetch(request.url, { method: 'POST', headers: request.headers, body: request.body, signal: stall.signal });
+      } catch (e) {
+        if (stall.signal.aborted && !(signal && signal.aborted)) throw stalled();
+        throw e;
+      }
+      touch();
+      if (!res.ok) {
+        // SECURITY: Reduce sensitive logging - only log status + short snippet
+        const errorText = await res.text();
+        console.error(`${PROVIDERS[provider].label} non-OK stream response`, res.status, (errorText || '').slice(0, 300));
+        this._recordFailure(provider, res, (errorText || '').slice(0, 300), errors);
+        return null;
+      }
+      const contentType = (res.headers.get('content-type') || '').toLowerCase();
+      if (!res.body || !contentType.includes('text/event-stream')) {
+        const text = await res.text();
+        let out = '';
+        let usage = null;
+        try {
+          const data = JSON.parse(text);
+          out = this._extractMessageContent(data) || '';
+          usage = this._usageFromBody(data);
+        } catch (_) {
+          out = this._parseSseText(text);
+          usage = text.split('\n').reduce((u, line) => this._mergeSseUsage(u, line), null);
+        }
+        this._recordUsage(provider, model, prompt, out, usage);
+        if (out) onChunk(out);
+        return out.trim() ? out.trim() : null;
+      }
+
+      const reader = res.body.getReader();
+      const decoder = new TextDecoder();
+      let pending = '';
+      let out = '';
+      let usage = null;
+      try {
+        while (true) {
+          const { done, value } = await reader.read();
+          if (done) break;
+          touch();
+          pending += decoder.decode(value, { stream: true });
+          const lines = pending.split('\n');
+          pending = lines.pop();
+          let added = '';
+          for (const line of lines) {
+            added += this._parseSseLine(line);
+            usage = this._mergeSseUsage(usage, line);
+          }
+          if (added) {
+            out += added;
+            onChunk(out);
+          }
+        }
+        out += this._parseSseLine(pending);
+        usage = this._mergeSseUsage(usage, pending);
+      } catch (e) {
+        // A cancelled stream was still billed for what was generated so far
+        this._recordUsage(provider, model, prompt, out, null);
+        if (signal && signal.aborted) {
+          const err = new Error('Generation cancelled');
+          err.partial = out;
+          throw err;
+        }
+        if (stall.signal.aborted) throw stalled();
+        throw e;
+      }
+      this._recordUsage(provider, model, prompt, out, usage);
+      if (out) onChunk(out);
+      return out.trim() ? out.trim() : null;
+    } finally {
+      clearTimeout(idle);
+      if (signal) signal.removeEventListener('abort', cancel);
+    }
+  }
+
+  async loadSettings() {
+    const loaded = await this.loadData();    this.settings = Object.assign({
+      licenseKey: '',
+      allowCodeBlocks: false, // SECURITY: Default OFF - strip all code blocks
+      allowRawHTML: false, // SECURITY: Default OFF - strip HTML tags
+      // SECURITY: Allowlists applied by _sanitizeOutput (comma-separated)
+      allowedCodeLanguages: 'text, python, javascript, typescript, java, c, cpp, csharp, go, rust, bash, sql, json, yaml, latex',
+      allowedHtmlTags: 'b, i, u, s, em, strong, mark, sub, sup, small, kbd, abbr, br, span, del, ins, details, summary',
+      allowedHtmlAttributes: 'title, class',
+      allowedUrlSchemes: 'http, https, mailto, obsidian',
+      maxOutputLength: 60000, // SECURITY: Cap output to prevent huge writes
+      contextBudget: 20000,
+      contextBudgetUnit: 'chars', // 'chars' or 'tokens'
+      templatePath: '', // Template note or folder of template notes; empty = built-in
+      defaultTemplate: '', // Template name used when templatePath is a folder
+      // Ordered origin rules: { name, enabled, matchType: 'folder'|'tag'|'frontmatter', pattern,
+      //   template, folder, provider, model, tags, autoGenerate }. First match wins.
+      rules: [],
+      streamOutput: true, // Write chunks into the open editor as they arrive
+      previewRegeneration: true, // Review a diff before regenerate commands overwrite existing content
+      trackOrigins: true, // Record every note a definition is linked from in `origins:`
+      senseDisambiguation: false, // Ask the model for candidate senses and let the user pick one first
+      hoverDefinitions: false, // One-sentence definition popover on unresolved links
+      language: 'en', // Language of generated definitions: a LANGUAGES code or 'auto' (detect per origin); `lang:` on the origin wins
+      translationLanguage: '', // Add a Translation section in this language; empty = off
+      validationMode: 'local', // 'off', 'local' (repair locally) or 'repair' (also ask the model to fix)
+      verifyQuotes: true, // Match Source Context quotes against the origin note
+      allowBlockIds: false, // May add ^block-ids to origin notes to link verified quotes
+      unresolvedLinkMode: 'flag', // Links the model makes to missing notes: 'keep', 'flag' or 'unlink'
+      retrievalMode: 'off', // Vault-wide related passages: 'off', 'bm25' (lexical) or 'embeddings'
+      retrievalTopK: 4,
+      embeddingProvider: 'openai', // An OpenAI-compatible provider whose key and base URL are used
+      embeddingModel: 'text-embedding-3-small',
+      embeddingBaseUrl: '', // Optional separate embedding server, e.g. http://localhost:11434/v1
+      glossaryFolder: '', // Folder for generated notes; empty = Obsidian's new-note location
+      fileNamePattern: '{{term}}', // File name of generated notes
+      fileNameCase: 'keep', // 'keep', 'title', 'sentence', 'lower' or 'kebab'
+      staticFrontmatter: '', // YAML added to every generated note (keys already present are kept)
+      glossaryIndexPath: 'Glossary index.md', // Note listing every generated definition
+      glossaryIndexGroupBy: 'alpha', // 'alpha', 'folder' (origin folder) or 'tag' (origin tag)
+      glossaryIndexAutoUpdate: false, // Keep the index note updated as definitions change
+      staleCheck: true, // Flag definitions whose origin passages or quotes changed
+      flashcardFormat: 'sr', // 'sr' (Spaced Repetition plugin), 'markdown' (Q/A deck), 'anki-tsv' or 'anki-csv'
+      flashcardPath: 'Flashcards/Definitions', // Export file; the extension follows the format
+      flashcardTag: 'flashcards', // Deck tag; the origin folder is appended
+      queueConcurrency: 2, // Generations running at the same time
+      requestsPerMinute: 20, // 0 = unlimited
+      maxAttempts: 3, // Per job, before the local fallback is used
+      upgradeOffline: true, // Regenerate `generated: offline` notes once the API answers again
+      historyMaxVersions: 20, // Per note
+      prices: {}, // provider -> { input, output } per million tokens; defaults from PROVIDERS
+      currency: '$',
+      redactionEnabled: true, // Redact origin context before it is sent
+      redactPatterns: { email: true, phone: true, apiKey: true, iban: true },
+      customRedactPatterns: '', // One regular expression per line
+      redactFrontmatterKeys: '', // Comma-separated frontmatter keys that are never sent
+      excludedFolders: '', // Notes in these folders are never sent (one per line)
+      budgetUnit: 'cost', // 'cost' or 'tokens'
+      dailyBudget: 0, // 0 = no budget
+      monthlyBudget: 0,
+      historyMaxAgeDays: 90, // 0 keeps versions regardless of age
+      batchMaxLinks: 25, // Per-run cap on links defined by one batch command
+      providers: {},
+      // Ordered provider/model attempts; mirrors the original three-attempt Copilot sequence
+      fallbackChain: [
+        { provider: 'copilot', model: 'copilot-plus-flash', stream: false },
+        { provider: 'copilot', model: 'copilot-plus-flash', stream: true },
+        { provider: 'copilot', model: 'copilot-plus', stream: false },
+      ]
+    }, loaded);
+    // Merge per-provider settings so new fields get defaults on older data.json files
+    const providers = {};
+    for (const id of Object.keys(PROVIDERS)) {
+      providers[id] = Object.assign({
+        baseUrl: PROVIDERS[id].baseUrl,
+        apiKey: '',
+        model: PROVIDERS[id].model,
+        temperature: 0.2,
+        maxTokens: PROVIDERS[id].maxTokens
+      }, (loaded && loaded.providers && loaded.providers[id]) || {});
+    }
+    this.settings.providers = providers;
+    const prices = {};
+    for (const id of Object.keys(PROVIDERS)) {
+      prices[id] = Object.assign({}, PROVIDERS[id].price, (loaded && loaded.prices && loaded.prices[id]) || {});
+    }
+    this.settings.prices = prices;
+    this.settings.fallbackChain = (this.settings.fallbackChain || []).filter((e) => e && PROVIDERS[e.provider]);
+  }
+
+  async saveSettings() {
+    await this.saveData(this.settings);
+  }
+
+  /**
+   * SECURITY: Sanitize remote API output before writing to notes.
+   * A markdown-aware pass: fenced code blocks (``` or ~~~, any length, also unclosed ones
+   * that run to the end) are kept only for allowlisted languages; outside code, HTML is
+   * reduced to allowlisted tags and attributes, links and images must use an allowlisted
+   * URL scheme, and Dataview inline queries and Templater commands are removed.
+   * What was removed is pushed to `report` (see _sanitizeSummary).
+   */
+  _sanitizeOutput(text, report) {
+    if (!text) return text;
+    const policy = this._sanitizePolicy();
+    const removed = report || [];
+
+    // Templater runs commands anywhere in a note, code blocks included
+    let sanitized = text.replace(/<%[\s\S]*?%>/g, () => {
+      removed.push({ kind: 'templater', detail: '<% %>' });
+      return '';
+    });
+
+    const { frontmatter, body } = this._separateFrontmatter(sanitized);
+    const out = [];
+    let run = [];
+    const flush = () => {
+      if (run.length > 0) out.push(this._sanitizeMarkdownText(run.join('\n'), policy, removed));
+      run = [];
+    };
+    const lines = body.split('\n');
+    for (let i = 0; i < lines.length; i++) {
+      const fence = this._fenceAt(lines[i]);
+      if (!fence) {
+        run.push(lines[i]);
+        continue;
+      }
+      flush();
+      let end = i + 1;
+      while (end < lines.length && !this._closesFence(lines[end], fence)) end++;
+      const closed = end < lines.length;
+      // A fence ended by leaving its blockquote has no closing line: that line is plain text again
+      const last = closed && this._leavesFenceQuote(lines[end], fence) ? end - 1 : end;
+      const allowed = policy.codeBlocks && (!fence.language || policy.languages.has(fence.language));
+      if (allowed) {
+        out.push(lines.slice(i, last + 1).join('\n'));
+      } else {
+        removed.push({ kind: 'code', detail: closed ? (fence.language || 'no language') : `${fence.language || 'no language'}, unclosed` });
+      }
+      i = last;
+    }
+    flush();
+    sanitized = `${frontmatter ? this._sanitizeFrontmatter(frontmatter, policy, removed) : ''}${out.join('\n').replace(/\n{3,}/g, '\n\n')}`;
+
+    // SECURITY: Cap output length to prevent huge writes
+    const maxLen = this.settings.maxOutputLength || 60000;
+    if (sanitized.length > maxLen) {
+      sanitized = sanitized.slice(0, maxLen) + '\n\n*(Output truncated for safety)*';
+    }
+    return sanitized;
+  }
+
+  /**
+   * Frontmatter proposed by the model: values go through the inline pass (links, HTML), and
+   * a key or list item whose value is a bare URL with a disallowed scheme is dropped, since
+   * Obsidian renders URL properties as links.
+   */
+  _sanitizeFrontmatter(frontmatter, policy, removed) {
+    const lines = frontmatter.split('\n');
+    const kept = [];
+    for (let i = 0; i < lines.length; i++) {
+      const m = !/^---\s*$/.test(lines[i]) && lines[i].match(/^(\s*(?:-[ \t]+)?(?:[^\s:#-][^:]*:(?:[ \t]+|(?=\r?$)))?)(.*?)(\r?)$/);
+      if (!m) {
+        kept.push(lines[i]);
+        continue;
+      }
+      const value = this._sanitizeInline(m[2], policy, removed);
+      const items = /^\[.*\]$/.test(value) ? value.slice(1, -1).split(',') : [value];
+      const url = items.map((item) => item.trim().replace(/^(["'])(.*)\1$/, '$2')).find((item) => /^\S+$/.test(item)
+        && this._urlScheme(item) && !policy.schemes.has(this._urlScheme(item)));
+      if (url) {
+        removed.push({ kind: 'link', detail: `${this._urlScheme(url)}:` });
+        continue;
+      }
+      kept.push(`${m[1]}${value}${m[3]}`);
+    }
+    return kept.join('\n');
+  }
+
+  /** Allowlists from the settings, as lower-case sets. */
+  _sanitizePolicy() {
+    const list = (value) => new Set((value || '').split(/[\s,]+/).map((v) => v.trim().toLowerCase().replace(/:$/, '')).filter(Boolean));
+    return {
+      codeBlocks: !!this.settings.allowCodeBlocks,
+      rawHtml: !!this.settings.allowRawHTML,
+      languages: list(this.settings.allowedCodeLanguages),
+      tags: list(this.settings.allowedHtmlTags),
+      attributes: list(this.settings.allowedHtmlAttributes),
+      schemes: list(this.settings.allowedUrlSchemes),
+    };
+  }
+
+  /**
+   * Opening code fence on `line`, or null. Any indentation and blockquote depth counts, so
+   * fences nested in lists and callouts (which Obsidian renders too) are caught.
+   */
+  _fenceAt(line) {
+    const m = line.match(/^((?:[ \t]*>)*)[ \t]*(`{3,}|~{3,})(.*)$/);
+    if (!m) return null;
+    if (m[2][0] === '`' && m[3].includes('`')) return null; // Inline code, not a fence
+    const language = (m[3].trim().split(/\s+/)[0] || '').replace(/^\{?\.?/, '').replace(/\}$/, '').toLowerCase();
+    return { marker: m[2], depth: (m[1].match(/>/g) || []).length, language };
+  }
+
+  _closesFence(line, fence) {
+    const m = line.match(/^((?:[ \t]*>)*)[ \t]*(`{3,}|~{3,})[ \t]*$/);
+    // Leaving the blockquote the fence was opened in ends it as well
+    if (this._leavesFenceQuote(line, fence)) return true;
+    return !!m && m[2][0] === fence.marker[0] && m[2].length >= fence.marker.length;
+  }
+
+  /** Whether `line` sits at a shallower blockquote depth than the fence was opened at. */
+  _leavesFenceQuote(line, fence) {
+    return (line.match(/^((?:[ \t]*>)*)/)[1].match(/>/g) || []).length < fence.depth;
+  }
+
+  /** Sanitize markdown outside code fences: code spans are kept apart from the HTML and link passes. */
+  _sanitizeMarkdownText(text, policy, removed) {
+    const parts = [];
+    let last = 0;
+    const tickRe = /`+/g;
+    let m;
+    while ((m = tickRe.exec(text)) !== null) {
+      // A code span closes at the next run of exactly the same length
+      const closeRe = new RegExp(`(?<!\`)\`{${m[0].length}}(?!\`)`, 'g');
+      closeRe.lastIndex = m.index + m[0].length;
+      const close = closeRe.exec(text);
+      if (!close) continue;
+      parts.push(this._sanitizeInline(text.slice(last, m.index), policy, removed));
+      const inner = text.slice(m.index + m[0].length, close.index).trim();
+      const query = inner.startsWith('$=') ? 'dataviewjs' : inner.startsWith('=') ? 'dataview' : null;
+      if (query && !(policy.codeBlocks && policy.languages.has(query))) {
+        removed.push({ kind: 'query', detail: query });
+      } else {
+        parts.push(text.slice(m.index, close.index + close[0].length));
+      }
+      last = close.index + close[0].length;
+      tickRe.lastIndex = last;
+    }
+    parts.push(this._sanitizeInline(text.slice(last), policy, removed));
+    return parts.join('');
+  }
+
+  /** HTML, link and image pass for text that is not code. */
+  _sanitizeInline(text, policy, removed) {
+    if (!text) return text;
+    let out = text;
+    const unsafe = (url) => {
+      const scheme = this._urlScheme(url);
+      return scheme && !policy.schemes.has(scheme) ? scheme : null;
+    };
+
+    // Markdown links and images: [text](url "title"), ![alt](url)
+    out = out.replace(/(!?)\[((?:[^[\]\n]|\[[^\]\n]*\])*)\]\(\s*(<[^>\n]*>|(?:[^\s()]|\([^\s()]*\))*)(?:\s+(?:"[^"\n]*"|'[^'\n]*'|\([^)\n]*\)))?\s*\)/g, (whole, bang, label, url) => {
+      const scheme = unsafe(url.replace(/^<|>$/g, ''));
+      if (!scheme) return whole;
+      removed.push({ kind: 'link', detail: `${scheme}:` });
+      return bang ? '' : label;
+    });
+    // Reference definitions: [id]: url
+    out = out.replace(/^[ \t]*(?:>[ \t]*)*\[[^\]\n]+\]:[ \t]*(\S+).*$/gm, (whole, url) => {
+      const scheme = unsafe(url.replace(/^<|>$/g, ''));
+      if (!scheme) return whole;
+      removed.push({ kind: 'link', detail: `${scheme}:` });
+      return '';
+    });
+    // Autolinks: <scheme:...>
+    out = out.replace(/<([a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^\s<>]*)>/g, (whole, url) => {
+      const scheme = unsafe(url);
+      if (!scheme) return whole;
+      removed.push({ kind: 'link', detail: `${scheme}:` });
+      return '';
+    });
+
+    if (policy.rawHtml) return out;
+    return this._sanitizeHtml(out, policy, removed, unsafe);
+  }
+
+  /**
+   * Keep allowlisted tags with their allowlisted attributes (event handlers never; URL
+   * attributes only with an allowed scheme). Other tags are unwrapped, except elements
+   * whose content is code or embedded media, which are dropped with their content.
+   */
+  _sanitizeHtml(text, policy, removed, unsafe) {
+    const dropContent = new Set(['script', 'style', 'iframe', 'object', 'applet', 'embed', 'template', 'noscript',
+      'noembed', 'noframes', 'frameset', 'frame', 'svg', 'math', 'textarea', 'xmp', 'title', 'base', 'link', 'meta']);
+    const urlAttributes = new Set(['href', 'src', 'srcset', 'action', 'formaction', 'poster', 'data', 'cite',
+      'background', 'xlink:href', 'longdesc', 'usemap', 'ping']);
+    // Attributes as a browser reads them: separated by whitespace or "/", or by nothing after a quoted value
+    const tagRe = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][a-zA-Z0-9:-]*)((?:"[^"]*"|'[^']*'|[^"'>])*)>/g;
+    // A "<tag" that doesn't parse (no ">", unbalanced quotes) can't be checked; it is escaped
+    const escapeUnparsed = (chunk) => chunk.replace(/<(\/?[a-zA-Z][a-zA-Z0-9:-]*)/g, (all, name) => {
+      removed.push({ kind: 'html', detail: `<${name.toLowerCase()}` });
+      return `&lt;${name}`;
+    });
+    let out = '';
+    let last = 0;
+    let m;
+    while ((m = tagRe.exec(text)) !== null) {
+      out += escapeUnparsed(text.slice(last, m.index));
+      last = m.index + m[0].length;
+      if (!m[2]) {
+        out += m[0]; // Comment
+        continue;
+      }
+      const closing = !!m[1];
+      const name = m[2].toLowerCase();
+      const selfClosing = /\/\s*$/.test(m[3]);
+      if (!policy.tags.has(name)) {
+        removed.push({ kind: 'html', detail: `<${name}>` });
+        if (!closing && !selfClosing && dropContent.has(name)) {
+          // Drop everything up to the matching close tag (or the end: an unclosed element swallows the rest)
+          const closeRe = new RegExp(`</${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*>`, 'gi');
+          closeRe.lastIndex = last;
+          const close = closeRe.exec(text);
+          last = close ? close.index + close[0].length : text.length;
+          tagRe.lastIndex = last;
+        }
+        continue;
+      }
+      if (closing) {
+        out += `</${name}>`;
+        continue;
+      }
+      const kept = [];
+      const attrRe = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+      let a;
+      while ((a = attrRe.exec(m[3])) !== null) {
+        const attr = a[1].toLowerCase();
+        const value = a[2] != null ? a[2] : a[3] != null ? a[3] : a[4];
+        const scheme = value != null && urlAttributes.has(attr) ? unsafe(value) : null;
+        if (attr.startsWith('on') || !policy.attributes.has(attr) || scheme) {
+          removed.push({ kind: 'attribute', detail: scheme ? `${attr}="${scheme}:"` : attr });
+          continue;
+        }
+        kept.push(value == null ? attr : `${attr}="${value.replace(/"/g, '&quot;')}"`);
+      }
+      out += `<${name}${kept.length ? ` ${kept.join(' ')}` : ''}${selfClosing ? ' /' : ''}>`;
+    }
+    return out + escapeUnparsed(text.slice(last));
+  }
+
+  /**
+   * Lower-case scheme of a URL as a browser would see it (entities decoded, whitespace and
+   * control characters dropped), or null for relative URLs.
+   */
+  _urlScheme(url) {
+    let value = String(url || '')
+      .replace(/&#x([0-9a-f]+);?/gi, (m, hex) => String.fromCharCode(parseInt(hex, 16)))
+      .replace(/&#(\d+);?/g, (m, dec) => String.fromCharCode(parseInt(dec, 10)))
+      .replace(/&colon;/gi, ':').replace(/&tab;/gi, '\t').replace(/&newline;/gi, '\n');
+    try {
+      value = decodeURIComponent(value);
+    } catch (_) {}
+    value = value.replace(/[\u0000- \u007f-\u009f]/g, '');
+    const m = value.match(/^([a-zA-Z][a-zA-Z0-9+.-]*):/);
+    return m ? m[1].toLowerCase() : null;
+  }
+
+  /** "2 code blocks (dataviewjs, tasks), 1 link (javascript:)" for a sanitize report. */
+  _sanitizeSummary(report) {
+    const labels = { code: 'code block', query: 'inline query', html: 'HTML tag', attribute: 'HTML attribute', link: 'link', templater: 'Templater command' };
+    const groups = new Map();
+    for (const entry of report || []) {
+      if (!groups.has(entry.kind)) groups.set(entry.kind, []);
+      groups.get(entry.kind).push(entry.detail);
+    }
+    return [...groups].map(([kind, details]) => {
+      const label = `${details.length} ${labels[kind] || kind}${details.length > 1 ? 's' : ''}`;
+      return kind === 'templater' ? label : `${label} (${[...new Set(details)].join(', ')})`;
+    }).join(', ');
+  }
+
+  /** Origin context as it may leave the vault: focused by _buildContext, then redacted. */
+  _promptContext(originFile, text, term, maxChars, redaction) {
+    if (originFile && this._isExcluded(originFile)) return '(The origin note is in an excluded folder; its content is not shared.)';
+    // Redact the whole note first: a passage or budget cut could split a private region from its markers
+    const redacted = this._redact(text, redaction);
+    // Metadata offsets only fit the unredacted text; otherwise passages are found in the text itself
+    return this._buildContext(originFile, redacted, term, maxChars, redacted === text);
+  }
+
+  /** Notes in a folder listed under "Excluded folders" never leave the vault. */
+  _isExcluded(file) {
+    const folders = (this.settings.excludedFolders || '').split(/[\n,]/).map((f) => f.trim().replace(/^\/+|\/+$/g, '')).filter(Boolean);
+    return !!file && folders.some((folder) => file.path === folder || file.path.startsWith(`${folder}/`));
+  }
+
+  _newRedaction() {
+    return { placeholders: new Map(), originals: new Map(), counts: {} };
+  }
+
+  /** Stable placeholder per distinct original: the same e-mail address is always [EMAIL_1]. */
+  _placeholder(redaction, kind, original) {
+    const key = `${kind}\u0000${original}`;
+    if (redaction.placeholders.has(key)) return redaction.placeholders.get(key);
+    redaction.counts[kind] = (redaction.counts[kind] || 0) + 1;
+    const placeholder = `[${kind}_${redaction.counts[kind]}]`;
+    redaction.placeholders.set(key, placeholder);
+    redaction.originals.set(placeholder, original);
+    return placeholder;
+  }
+
+  /**
+   * Redact text before it is sent: configured frontmatter keys are dropped; %%private%%
+   * blocks, private callouts and matches of the enabled patterns become placeholders.
+   */
+  _redact(text, redaction) {
+    if (!text || this.settings.redactionEnabled === false || !redaction) return text || '';
+    let out = text;
+
+    // Frontmatter keys, in a leading frontmatter block or the "Frontmatter:" part of the context
+    const keys = (this.settings.redactFrontmatterKeys || '').split(/[\n,]/).map((k) => k.trim().toLowerCase()).filter(Boolean);
+    if (keys.length > 0) {
+      out = out.replace(/^(Frontmatter:\n)?---\r?\n([\s\S]*?)\r?\n---/, (whole, lead, yaml) => {
+        const kept = [];
+        let dropping = false;
+        for (const line of yaml.split('\n')) {
+          const key = line.match(/^([^\s:#][^:]*):/);
+          if (key) dropping = keys.includes(key[1].trim().toLowerCase());
+          else if (!/^\s|^-/.test(line)) dropping = false;
+          if (!dropping) kept.push(line);
+        }
+        return `${lead || ''}---\n${kept.join('\n')}\n---`;
+      });
+    }
+
+    // %%private%% … %%/private%% regions (markers on their own lines), then paragraphs tagged %%private%%
+    out = out.replace(/^[ \t]*%%\s*private\s*%%[ \t]*\n[\s\S]*?\n[ \t]*%%\s*\/\s*private\s*%%[ \t]*$/gim, (m) => this._placeholder(redaction, 'PRIVATE', m));
+    out = out.split(/(\n\s*\n)/).map((part) => (
+      /%%\s*private\s*%%/i.test(part) ? this._placeholder(redaction, 'PRIVATE', part) : part
+    )).join('');
+
+    // Callouts of type "private" or with "private" in their metadata: > [!note|private]
+    out = out.replace(/^>\s*\[!(?:private|[^\]\n|]*\|[^\]\n]*\bprivate\b[^\]\n]*)\][+-]?.*(?:\n>.*)*/gim, (m) => this._placeholder(redaction, 'PRIVATE', m));
+
+    for (const { kind, regex, accept } of this._redactionPatterns()) {
+      out = out.replace(regex, (m, ...groups) => {
+        if (accept && !accept(m)) return m;
+        // Patterns with a capture group redact only the group (e.g. the value after "api_key:")
+        const value = typeof groups[0] === 'string' ? groups[0] : null;
+        return value ? m.replace(value, this._placeholder(redaction, kind, value)) : this._placeholder(redaction, kind, m);
+      });
+    }
+    return out;
+  }
+
+  _redactionPatterns() {
+    const enabled = this.settings.redactPatterns || {};
+    const patterns = [];
+    if (enabled.apiKey !== false) {
+      patterns.push({ kind: 'API_KEY', regex: /\b(?:sk|pk|rk)-[A-Za-z0-9_-]{16,}|\b(?:ghp|gho|ghs|github_pat)_[A-Za-z0-9_]{20,}|\bxox[abprs]-[A-Za-z0-9-]{10,}|\bAKIA[0-9A-Z]{16}\b|\bAIza[0-9A-Za-z_-]{35}\b/g });
+      patterns.push({ kind: 'API_KEY', regex: /\b(?:api[_-]?key|secret|token|password|passwd)\b\s*[:=]\s*["']?([^\s"'`]{6,})/gi });
+    }
+    if (enabled.email !== false) {
+      patterns.push({ kind: 'EMAIL', regex: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g });
+    }
+    if (enabled.iban !== false) {
+      patterns.push({ kind: 'IBAN', regex: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g });
+    }
+    if (enabled.phone !== false) {
+      // At least 8 digits (10 without a + or separators), and not a date or a thousands-separated number
+      patterns.push({
+        kind: 'PHONE',
+        regex: /(?<![\w[])\+?\(?\d[\d ()./-]{6,}\d(?![\w\]])/g,
+        accept: (m) => {
+          const digits = (m.match(/\d/g) || []).length;
+          if (digits < 8 || (/^\d+$/.test(m) && digits < 10)) return false;
+          return !/^\d{4}-\d{2}-\d{2}/.test(m) && !/^\d{1,3}([.,]\d{3})+$/.test(m);
+        },
+      });
+    }
+    for (const line of (this.settings.customRedactPatterns || '').split('\n')) {
+      const source = line.trim();
+      if (!source) continue;
+      try {
+        patterns.push({ kind: 'REDACTED', regex: new RegExp(source, 'g') });
+      } catch (e) {
+        console.warn(`[Contextual Wiki Definitions] Ignoring invalid redaction pattern: ${source}`);
+      }
+    }
+    return patterns;
+  }
+
+  /** Put the originals back wherever the model echoed a placeholder. [PRIVATE_n] stays: private text never reaches a note. */
+  _restoreRedactions(redaction, text) {
+    if (!redaction || redaction.originals.size === 0 || !text) return text;
+    return text.replace(/\[(?:EMAIL|PHONE|API_KEY|IBAN|REDACTED)_\d+\]/g, (m) => (
+      redaction.originals.has(m) ? redaction.originals.get(m) : m
+    ));
+  }
+
+  _truncateContext(text) {
+    const max = this._contextBudgetChars();
+    if (!text) return '';
+    return text.length > max ? text.slice(0, max) : text;
+  }
+
+  /** Context budget in characters; token budgets are converted at ~4 chars per token. */
+  _contextBudgetChars() {
+    const budget = this.settings.contextBudget > 0 ? this.settings.contextBudget : 20000;
+    return this.settings.contextBudgetUnit === 'tokens' ? budget * 4 : budget;
+  }
+
+  /**
+   * Build a focused context for `term` from the origin note:
+   * frontmatter first, then every paragraph that links (or mentions) the term with
+   * its heading path, then as much of the remaining note as the budget allows.
+   */
+  _buildContext(originFile, text, term, maxChars, useCache = true) {
+    if (!text) return '';
+    const max = maxChars || this._contextBudgetChars();
+    const cache = originFile && useCache ? this.app.metadataCache.getFileCache(originFile) : null;
+
+    let frontmatter = '';
+    let bodyStart = 0;
+    if (cache && cache.frontmatterPosition) {
+      bodyStart = cache.frontmatterPosition.end.offset;
+      frontmatter = text.slice(0, bodyStart).trim();
+    } else {
+      const fm = text.match(/^---\r?\n[\s\S]*?\r?\n---(?:\r?\n|$)/);
+      if (fm) {
+        bodyStart = fm[0].length;
+        frontmatter = fm[0].trim();
+      }
+    }
+
+    const offsets = this._findTermOffsets(originFile, cache, text, term, bodyStart);
+    if (offsets.length === 0 && !frontmatter) return text.length > max ? text.slice(0, max) : text;
+
+    // Collect enclosing paragraph ranges, merging duplicates
+    const ranges = [];
+    for (const offset of offsets) {
+      const range = this._paragraphRange(cache, text, offset);
+      if (!ranges.some((r) => r.start === range.start)) ranges.push(range);
+    }
+    ranges.sort((a, b) => a.start - b.start);
+
+    const parts = [];
+    let used = 0;
+    const push = (chunk) => {
+      if (!chunk || used >= max) return;
+      const remaining = max - used;
+      const piece = chunk.length > remaining ? chunk.slice(0, remaining) : chunk;
+      parts.push(piece);
+      used += piece.length + 2;
+    };
+
+    if (frontmatter) push(`Frontmatter:\n${frontmatter}`);
+    if (ranges.length > 0) {
+      push(`Passages mentioning [[${term}]]:`);
+      for (const range of ranges) {
+        const path = this._headingPath(cache, text, range.start);
+        const passage = text.slice(range.start, range.end).trim();
+        push(path ? `${path}\n${passage}` : passage);
+      }
+    }
+
+    // Fill the remaining budget with the rest of the note, skipping passages already included
+    let rest = '';
+    let cursor = bodyStart;
+    for (const range of ranges) {
+      if (range.start > cursor) rest += text.slice(cursor, range.start);
+      cursor = Math.max(cursor, range.end);
+    }
+    rest += text.slice(cursor);
+    rest = rest.replace(/\n{3,}/g, '\n\n').trim();
+    if (rest) push(ranges.length > 0 ? `Rest of the note:\n${rest}` : rest);
+
+    return parts.join('\n\n');
+  }
+
+  _findTermOffsets(originFile, cache, text, term, bodyStart) {
+    const offsets = [];
+    const wanted = (term || '').toLowerCase();
+    if (cache && Array.isArray(cache.links)) {
+      for (const link of cache.links) {
+        const linkpath = (link.link || '').split('#')[0].split('|')[0].trim();
+        const base = linkpath.split('/').pop().replace(/\.md$/i, '').toLowerCase();
+        let matches = base === wanted;
+        if (!matches && originFile) {
+          const dest = this.app.metadataCache.getFirstLinkpathDest(linkpath, originFile.path);
+          matches = !!(dest && dest.basename.toLowerCase() === wanted);
+        }
+        if (matches && link.position) offsets.push(link.position.start.offset);
+      }
+    }
+    if (offsets.length === 0 && wanted) {
+      // No resolved link positions: fall back to plain-text mentions of the term
+      const lower = text.toLowerCase();
+      let idx = lower.indexOf(wanted, bodyStart);
+      while (idx !== -1 && offsets.length < 50) {
+        offsets.push(idx);
+        idx = lower.indexOf(wanted, idx + wanted.length);
+      }
+    }
+    return offsets;
+  }
+
+  _paragraphRange(cache, text, offset) {
+    if (cache && Array.isArray(cache.sections)) {
+      const section = cache.sections.find((s) => s.position.start.offset <= offset && offset <= s.position.end.offset);
+      if (section && section.type !== 'heading') {
+        return { start: section.position.start.offset, end: section.position.end.offset };
+      }
+    }
+    // Without section metadata, a paragraph is delimited by blank lines
+    const before = text.lastIndexOf('\n\n', offset);
+    const after = text.indexOf('\n\n', offset);
+    return { start: before === -1 ? 0 : before + 2, end: after === -1 ? text.length : after };
+  }
+
+  _headingPath(cache, text, offset) {
+    let headings = [];
+    if (cache && Array.isArray(cache.headings)) {
+      headings = cache.headings.map((h) => ({ level: h.level, heading: h.heading, offset: h.position.start.offset }));
+    } else {
+      const re = /^(#{1,6})\s+(.+)$/gm;
+      let m;
+      while ((m = re.exec(text)) !== null) headings.push({ level: m[1].length, heading: m[2].trim(), offset: m.index });
+    }
+    const stack = [];
+    for (const h of headings) {
+      if (h.offset >= offset) break;
+      while (stack.length && stack[stack.length - 1].level >= h.level) stack.pop();
+      stack.push(h);
+    }
+    return stack.length ? `Section: ${stack.map((h) => h.heading).join(' > ')}` : '';
+  }
+
+  _isRecentlyProcessed(path) {
+    return this._recentlyProcessed.has(path);
+  }
+
+  _markProcessed(path) {
+    this._recentlyProcessed.add(path);
+    setTimeout(() => this._recentlyProcessed.delete(path), 5000);
+  }
+};
+
+class ContextualDefinitionSettingTab extends PluginSettingTab {
+  constructor(app, plugin) {
+    super(app, plugin);
+    this.plugin = plugin;
+    this.showLicenseKey = false; // Track reveal state for license key
+  }
+
+  display() {
+    const { containerEl } = this;
+    containerEl.empty();
+    containerEl.createEl('h2', { text: 'Contextual Wiki Definitions Settings' });
+
+    // SECURITY: Mask license key with password field + reveal toggle
+    const licenseKeySetting = new Setting(containerEl)
+      .setName('Copilot License Key')
+      .setDesc('Believer or Plus license key used for definition generation');
+
+    let licenseKeyInput;
+    licenseKeySetting.addText(text => {
+      licenseKeyInput = text;
+      text.inputEl.type = 'password'; // SECURITY: Mask by default
+      text.setPlaceholder('enter your Copilot key')
+        .setValue(this.plugin.settings.licenseKey)
+        .onChange(async (value) => {
+          this.plugin.settings.licenseKey = value.trim();
+          await this.plugin.saveSettings();
+        });
+    });
+
+    // Add reveal/hide toggle button
+    licenseKeySetting.addButton(button => {
+      button.setButtonText(this.showLicenseKey ? 'Hide' : 'Reveal')
+        .setCta(false)
+        .onClick(() => {
+          this.showLicenseKey = !this.showLicenseKey;
+          licenseKeyInput.inputEl.type = this.showLicenseKey ? 'text' : 'password';
+          button.setButtonText(this.showLicenseKey ? 'Hide' : 'Reveal');
+        });
+    });
+
+    // SECURITY: Output sanitization settings
+    new Setting(containerEl)
+      .setName('Allow code blocks in output')
+      .setDesc('If enabled, code blocks in the allowed languages (and without a language) are preserved in generated definitions. Default: OFF for security.')
+      .addToggle(toggle => toggle
+        .setValue(this.plugin.settings.allowCodeBlocks)
+        .onChange(async (value) => {
+          this.plugin.settings.allowCodeBlocks = value;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Allow raw HTML in output')
+      .setDesc('If enabled, all HTML is preserved in generated definitions. When off, only the allowed tags and attributes are kept. Default: OFF for security.')
+      .addToggle(toggle => toggle
+        .setValue(this.plugin.settings.allowRawHTML)
+        .onChange(async (value) => {
+          this.plugin.settings.allowRawHTML = value;
+          await this.plugin.saveSettings();
+        }));
+
+    const allowlists = [
+      ['allowedCodeLanguages', 'Allowed code languages', 'Code block languages kept when code blocks are allowed. Add dataview or dataviewjs only if you trust the model with queries that run in your vault; they also allow the matching inline queries.'],
+      ['allowedHtmlTags', 'Allowed HTML tags', 'Other tags are removed; script, style, iframe, svg and similar elements are removed with their content.'],
+      ['allowedHtmlAttributes', 'Allowed HTML attributes', 'Event handlers (onclick, onerror, …) are always removed.'],
+      ['allowedUrlSchemes', 'Allowed link schemes', 'Links and images with any other scheme (javascript:, data:, file:, …) are removed. Relative links are always kept.'],
+    ];
+    for (const [key, name, desc] of allowlists) {
+      new Setting(containerEl)
+        .setName(name)
+        .setDesc(`${desc} Comma-separated.`)
+        .addText(text => text
+          .setValue(this.plugin.settings[key] || '')
+          .onChange(async (value) => {
+            this.plugin.settings[key] = value;
+            await this.plugin.saveSettings();
+          }));
+    }
+
+    new Setting(containerEl)
+      .setName('Maximum output length')
+      .setDesc('Maximum characters allowed in generated definitions (default: 60000). Longer outputs will be truncated.')
+      .addText(text => text
+        .setPlaceholder('60000')
+        .setValue(String(this.plugin.settings.maxOutputLength || 60000))
+        .onChange(async (value) => {
+          const num = parseInt(value, 10);
+          if (!isNaN(num) && num > 0) {
+            this.plugin.settings.maxOutputLength = num;
+            await this.plugin.saveSettings();
+          }
+        }));
+
+    new Setting(containerEl)
+      .setName('Context budget')
+      .setDesc('How much of the origin note is sent. Passages around the clicked link and the frontmatter come first; the rest of the note fills what remains.')
+      .addText(text => text
+        .setPlaceholder('20000')
+        .setValue(String(this.plugin.settings.contextBudget || 20000))
+        .onChange(async (value) => {
+          const num = parseInt(value, 10);
+          if (!isNaN(num) && num > 0) {
+            this.plugin.settings.contextBudget = num;
+            await this.plugin.saveSettings();
+          }
+        }))
+      .addDropdown(dropdown => dropdown
+        .addOption('chars', 'characters')
+        .addOption('tokens', 'tokens (≈4 chars)')
+        .setValue(this.plugin.settings.contextBudgetUnit || 'chars')
+        .onChange(async (value) => {
+          this.plugin.settings.contextBudgetUnit = value;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Template note or folder')
+      .setDesc('Vault path of a definition template note, or of a folder of template notes. Placeholders: {{term}}, {{origin}}, {{context}}, {{date}}. Leave empty for the built-in template.')
+      .addText(text => text
+        .setPlaceholder('Templates/Definitions')
+        .setValue(this.plugin.settings.templatePath || '')
+        .onChange(async (value) => {
+          this.plugin.settings.templatePath = value.trim().replace(/\/+$/, '');
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Default template')
+      .setDesc('Template note name to use when the path above is a folder (defaults to the first note in it).')
+      .addText(text => text
+        .setPlaceholder('Definition Template')
+        .setValue(this.plugin.settings.defaultTemplate || '')
+        .onChange(async (value) => {
+          this.plugin.settings.defaultTemplate = value.trim();
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Stream output into the editor')
+      .setDesc('Write the definition into the open note as it is generated. Use the "Cancel running generation" command to stop and keep what was written. Falls back to a single write where streaming is unavailable.')
+      .addToggle(toggle => toggle
+        .setValue(this.plugin.settings.streamOutput !== false)
+        .onChange(async (value) => {
+          this.plugin.settings.streamOutput = value;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Preview regenerations')
+      .setDesc('When regenerating a note that already has content, show the current and proposed versions side by side and choose what to keep.')
+      .addToggle(toggle => toggle
+        .setValue(this.plugin.settings.previewRegeneration !== false)
+        .onChange(async (value) => {
+          this.plugin.settings.previewRegeneration = value;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Track origins')
+      .setDesc('Record every note a generated definition is linked from in an "origins" frontmatter list, and offer to refine the definition when a new one appears.')
+      .addToggle(toggle => toggle
+        .setValue(this.plugin.settings.trackOrigins !== false)
+        .onChange(async (value) => {
+          this.plugin.settings.trackOrigins = value;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Pick the sense first')
+      .setDesc('Before generating, ask the model which meanings of the term the origin note supports and choose one. Batch runs skip this step.')
+      .addToggle(toggle => toggle
+        .setValue(!!this.plugin.settings.senseDisambiguation)
+        .onChange(async (value) => {
+          this.plugin.settings.senseDisambiguation = value;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Definition language')
+      .setDesc('Language of the headings and text of generated definitions. "Detect" uses the language of the linking note. A "lang" frontmatter key on the linking note (e.g. lang: de) overrides this.')
+      .addDropdown(dropdown => {
+        dropdown.addOption('auto', 'Detect from the note');
+        for (const [code, lang] of Object.entries(LANGUAGES)) dropdown.addOption(code, lang.name);
+        dropdown
+          .setValue(this.plugin.settings.language || 'en')
+          .onChange(async (value) => {
+            this.plugin.settings.language = value;
+            await this.plugin.saveSettings();
+          });
+      });
+
+    new Setting(containerEl)
+      .setName('Translation')
+      .setDesc('Add a section with the one-sentence definition and key points translated into this language. Skipped for definitions already written in it.')
+      .addDropdown(dropdown => {
+        dropdown.addOption('', 'Off');
+        for (const [code, lang] of Object.entries(LANGUAGES)) dropdown.addOption(code, lang.name);
+        dropdown
+          .setValue(this.plugin.settings.translationLanguage || '')
+          .onChange(async (value) => {
+            this.plugin.settings.translationLanguage = value;
+            await this.plugin.saveSettings();
+          });
+      });
+
+    new Setting(containerEl)
+      .setName('Hover definitions')
+      .setDesc('Hovering an unresolved link (with the page preview modifier key in the editor) shows a one-sentence definition from the linking note, with a button to create the full note. Each hover of a new term sends one request.')
+      .addToggle(toggle => toggle
+        .setValue(!!this.plugin.settings.hoverDefinitions)
+        .onChange(async (value) => {
+          this.plugin.settings.hoverDefinitions = value;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Validate output')
+      .setDesc('Check each definition against the template (headings, order, bullet caps, word count, frontmatter). Remaining issues are listed in the note\'s "validation" frontmatter and the console.')
+      .addDropdown(dropdown => dropdown
+        .addOption('off', 'Off')
+        .addOption('local', 'Validate and repair locally')
+        .addOption('repair', 'Also ask the model to repair')
+        .setValue(this.plugin.settings.validationMode || 'local')
+        .onChange(async (value) => {
+          this.plugin.settings.validationMode = value;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Verify source quotes')
+      .setDesc('Match each quote under "Source Context" against the origin note. Close matches are replaced with the real line; quotes that can\'t be found are marked unverified.')
+      .addToggle(toggle => toggle
+        .setValue(this.plugin.settings.verifyQuotes !== false)
+        .onChange(async (value) => {
+          this.plugin.settings.verifyQuotes = value;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Link verified quotes with block IDs')
+      .setDesc('Add a block ID (^cwd-…) to the quoted paragraph in the origin note and link the quote to it. This modifies origin notes.')
+      .addToggle(toggle => toggle
+        .setValue(!!this.plugin.settings.allowBlockIds)
+        .onChange(async (value) => {
+          this.plugin.settings.allowBlockIds = value;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Links to missing notes')
+      .setDesc('Links in the definition are matched to existing notes and aliases (ignoring case and plurals). What to do with links that still match no note.')
+      .addDropdown(dropdown => dropdown
+        .addOption('keep', 'Keep the link')
+        .addOption('flag', 'Keep and mark as new')
+        .addOption('unlink', 'Remove the link, keep the text')
+        .setValue(this.plugin.settings.unresolvedLinkMode || 'flag')
+        .onChange(async (value) => {
+          this.plugin.settings.unresolvedLinkMode = value;
+          await this.plugin.saveSettings();
+        }));
+
+    containerEl.createEl('h3', { text: 'Vault retrieval' });
+
+    new Setting(containerEl)
+      .setName('Related passages from other notes')
+      .setDesc('Add the most relevant passages from other notes to the prompt. Lexical (BM25) works offline; embeddings send every note\'s text to the embedding provider once to build the index.')
+      .addDropdown(dropdown => dropdown
+        .addOption('off', 'Off')
+        .addOption('bm25', 'Lexical (BM25)')
+        .addOption('embeddings', 'Embeddings')
+        .setValue(this.plugin.settings.retrievalMode || 'off')
+        .onChange(async (value) => {
+          this.plugin.settings.retrievalMode = value;
+          await this.plugin.saveSettings();
+          this.plugin.retrieval.sync();
+          this.display();
+        }));
+
+    new Setting(containerEl)
+      .setName('Passages per prompt')
+      .setDesc('How many related passages (top-k) to add.')
+      .addText(text => text
+        .setValue(String(this.plugin.settings.retrievalTopK))
+        .onChange(async (value) => {
+          const n = parseInt(value, 10);
+          if (n > 0 && n <= 20) {
+            this.plugin.settings.retrievalTopK = n;
+            await this.plugin.saveSettings();
+          }
+        }));
+
+    if (this.plugin.settings.retrievalMode === 'embeddings') {
+      new Setting(containerEl)
+        .setName('Embedding provider')
+        .setDesc('Its API key and base URL are used for the /embeddings endpoint.')
+        .addDropdown(dropdown => {
+          for (const [id, info] of Object.entries(PROVIDERS)) {
+            if (info.embeddings) dropdown.addOption(id, info.label);
+          }
+          dropdown
+            .setValue((PROVIDERS[this.plugin.settings.embeddingProvider] || {}).embeddings ? this.plugin.settings.embeddingProvider : 'openai')
+            .onChange(async (value) => {
+              this.plugin.settings.embeddingProvider = value;
+              await this.plugin.saveSettings();
+              this.plugin.retrieval.sync();
+            });
+        });
+
+      new Setting(containerEl)
+        .setName('Embedding model')
+        .setDesc('E.g. text-embedding-3-small (OpenAI) or nomic-embed-text (Ollama). After a change, notes are embedded again at the next startup or with "Rebuild vault retrieval index".')
+        .addText(text => text
+          .setValue(this.plugin.settings.embeddingModel || '')
+          .onChange(async (value) => {
+            this.plugin.settings.embeddingModel = value.trim();
+            await this.plugin.saveSettings();
+          }));
+
+      new Setting(containerEl)
+        .setName('Embedding server URL')
+        .setDesc('Optional. Overrides the provider\'s base URL, e.g. a local embedding server.')
+        .addText(text => text
+          .setPlaceholder('http://localhost:11434/v1')
+          .setValue(this.plugin.settings.embeddingBaseUrl || '')
+          .onChange(async (value) => {
+            this.plugin.settings.embeddingBaseUrl = value.trim();
+            await this.plugin.saveSettings();
+          }));
+    }
+
+    containerEl.createEl('h3', { text: 'Generated notes' });
+
+    new Setting(containerEl)
+      .setName('Glossary folder')
+      .setDesc('New notes created by following a link, and by batch definition, are moved here. Links in the origin note are updated. Empty = Obsidian\'s default location for new notes.')
+      .addText(text => text
+        .setPlaceholder('Glossary')
+        .setValue(this.plugin.settings.glossaryFolder || '')
+        .onChange(async (value) => {
+          this.plugin.settings.glossaryFolder = value.trim();
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('File name')
+      .setDesc('Pattern for the file name; {{term}} is the linked term. E.g. "{{term}} (definition)".')
+      .addText(text => text
+        .setPlaceholder('{{term}}')
+        .setValue(this.plugin.settings.fileNamePattern || '')
+        .onChange(async (value) => {
+          this.plugin.settings.fileNamePattern = value.trim() || '{{term}}';
+          await this.plugin.saveSettings();
+        }))
+      .addDropdown(dropdown => dropdown
+        .addOption('keep', 'As linked')
+        .addOption('title', 'Title Case')
+        .addOption('sentence', 'Sentence case')
+        .addOption('lower', 'lower case')
+        .addOption('kebab', 'kebab-case')
+        .setValue(this.plugin.settings.fileNameCase || 'keep')
+        .onChange(async (value) => {
+          this.plugin.settings.fileNameCase = value;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Extra frontmatter')
+      .setDesc('YAML added to every generated note, e.g. "type: definition". Keys already in the note are kept. The plugin also sets generated, created, provider, model and origin.')
+      .addTextArea(text => text
+        .setPlaceholder('type: definition\nreviewed: false')
+        .setValue(this.plugin.settings.staticFrontmatter || '')
+        .onChange(async (value) => {
+          this.plugin.settings.staticFrontmatter = value;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Glossary index note')
+      .setDesc('A note listing every generated definition with its one-sentence definition and origin. Command palette → "Update glossary index note" builds it.')
+      .addText(text => text
+        .setPlaceholder('Glossary index.md')
+        .setValue(this.plugin.settings.glossaryIndexPath || '')
+        .onChange(async (value) => {
+          this.plugin.settings.glossaryIndexPath = value.trim();
+          await this.plugin.saveSettings();
+        }))
+      .addDropdown(dropdown => dropdown
+        .addOption('alpha', 'A–Z')
+        .addOption('folder', 'By origin folder')
+        .addOption('tag', 'By origin tag')
+        .setValue(this.plugin.settings.glossaryIndexGroupBy || 'alpha')
+        .onChange(async (value) => {
+          this.plugin.settings.glossaryIndexGroupBy = value;
+          await this.plugin.saveSettings();
+          await this.plugin.glossaryIndex.regroup();
+        }));
+
+    new Setting(containerEl)
+      .setName('Update the glossary index automatically')
+      .setDesc('Add, update or remove a note\'s entry when a definition is generated, edited, renamed or deleted.')
+      .addToggle(toggle => toggle
+        .setValue(!!this.plugin.settings.glossaryIndexAutoUpdate)
+        .onChange(async (value) => {
+          this.plugin.settings.glossaryIndexAutoUpdate = value;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Flag stale definitions')
+      .setDesc('When an origin note changes, check the definitions generated from it. If the passages they are based on changed or a quoted line is gone, they get a "stale" frontmatter entry and appear in "Open stale definitions".')
+      .addToggle(toggle => toggle
+        .setValue(this.plugin.settings.staleCheck !== false)
+        .onChange(async (value) => {
+          this.plugin.settings.staleCheck = value;
+          await this.plugin.saveSettings();
+        }));
+
+    containerEl.createEl('h3', { text: 'Flashcards' });
+
+    new Setting(containerEl)
+      .setName('Flashcard format')
+      .setDesc('Format of "Export flashcards": a note for the Spaced Repetition plugin, a plain Q/A note, or a file to import into Anki.')
+      .addDropdown(dropdown => dropdown
+        .addOption('sr', 'Spaced Repetition plugin')
+        .addOption('markdown', 'Q/A markdown deck')
+        .addOption('anki-tsv', 'Anki (TSV)')
+        .addOption('anki-csv', 'Anki (CSV)')
+        .setValue(this.plugin.settings.flashcardFormat || 'sr')
+        .onChange(async (value) => {
+          this.plugin.settings.flashcardFormat = value;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Flashcard file')
+      .setDesc('Path of the export, without extension (.md, .tsv or .csv is added).')
+      .addText(text => text
+        .setPlaceholder('Flashcards/Definitions')
+        .setValue(this.plugin.settings.flashcardPath || '')
+        .onChange(async (value) => {
+          this.plugin.settings.flashcardPath = value.trim();
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Deck tag')
+      .setDesc('Cards are tagged with this tag plus the origin note\'s folder, e.g. #flashcards/biology/cells (flashcards::biology::cells in Anki).')
+      .addText(text => text
+        .setPlaceholder('flashcards')
+        .setValue(this.plugin.settings.flashcardTag || '')
+        .onChange(async (value) => {
+          this.plugin.settings.flashcardTag = value.trim();
+          await this.plugin.saveSettings();
+        }));
+
+    containerEl.createEl('h3', { text: 'Batch definition' });
+
+    new Setting(containerEl)
+      .setName('Maximum links per run')
+      .setDesc('Links beyond this number are left for a later run.')
+      .addText(text => text
+        .setPlaceholder('25')
+        .setValue(String(this.plugin.settings.batchMaxLinks || 25))
+        .onChange(async (value) => {
+          const num = parseInt(value, 10);
+          if (!isNaN(num) && num > 0) {
+            this.plugin.settings.batchMaxLinks = num;
+            await this.plugin.saveSettings();
+          }
+        }));
+
+    containerEl.createEl('h3', { text: 'Generation queue' });
+
+    new Setting(containerEl)
+      .setName('Concurrent generations')
+      .setDesc('How many definitions are generated at the same time.')
+      .addText(text => text
+        .setPlaceholder('2')
+        .setValue(String(this.plugin.settings.queueConcurrency || 2))
+        .onChange(async (value) => {
+          const num = parseInt(value, 10);
+          if (!isNaN(num) && num > 0 && num <= 10) {
+            this.plugin.settings.queueConcurrency = num;
+            await this.plugin.saveSettings();
+          }
+        }));
+
+    new Setting(containerEl)
+      .setName('Requests per minute')
+      .setDesc('Upper bound on API requests across all providers (0 = unlimited).')
+      .addText(text => text
+        .setPlaceholder('20')
+        .setValue(String(this.plugin.settings.requestsPerMinute))
+        .onChange(async (value) => {
+          const num = parseInt(value, 10);
+          if (!isNaN(num) && num >= 0) {
+            this.plugin.settings.requestsPerMinute = num;
+            await this.plugin.saveSettings();
+          }
+        }));
+
+    new Setting(containerEl)
+      .setName('Attempts per definition')
+      .setDesc('Failed generations are retried with exponential backoff (honouring Retry-After) until this many attempts were made.')
+      .addText(text => text
+        .setPlaceholder('3')
+        .setValue(String(this.plugin.settings.maxAttempts || 3))
+        .onChange(async (value) => {
+          const num = parseInt(value, 10);
+          if (!isNaN(num) && num > 0 && num <= 10) {
+            this.plugin.settings.maxAttempts = num;
+            await this.plugin.saveSettings();
+          }
+        }));
+
+    new Setting(containerEl)
+      .setName('Upgrade offline definitions')
+      .setDesc('When all attempts fail, an offline definition is extracted from your notes and marked "generated: offline". Regenerate these notes automatically once the API answers again.')
+      .addToggle(toggle => toggle
+        .setValue(this.plugin.settings.upgradeOffline !== false)
+        .onChange(async (value) => {
+          this.plugin.settings.upgradeOffline = value;
+          await this.plugin.saveSettings();
+        }));
+
+    containerEl.createEl('h3', { text: 'History' });
+
+    new Setting(containerEl)
+      .setName('Versions per note')
+      .setDesc('Older versions beyond this number are dropped. Command palette → "Open definition history" lists them.')
+      .addText(text => text
+        .setPlaceholder('20')
+        .setValue(String(this.plugin.settings.historyMaxVersions))
+        .onChange(async (value) => {
+          const num = parseInt(value, 10);
+          if (!isNaN(num) && num > 0 && num <= 500) {
+            this.plugin.settings.historyMaxVersions = num;
+            await this.plugin.saveSettings();
+          }
+        }));
+
+    new Setting(containerEl)
+      .setName('Keep versions for (days)')
+      .setDesc('Versions older than this are dropped. 0 keeps them regardless of age. The newest version of a note is always kept.')
+      .addText(text => text
+        .setPlaceholder('90')
+        .setValue(String(this.plugin.settings.historyMaxAgeDays))
+        .onChange(async (value) => {
+          const num = parseInt(value, 10);
+          if (!isNaN(num) && num >= 0) {
+            this.plugin.settings.historyMaxAgeDays = num;
+            await this.plugin.saveSettings();
+          }
+        }));
+
+    containerEl.createEl('h3', { text: 'Privacy' });
+
+    new Setting(containerEl)
+      .setName('Redact before sending')
+      .setDesc('Replace private parts of the context with placeholders such as [EMAIL_1] before it is sent; they are put back if the model repeats them. Command palette → "Preview what will be sent" shows the exact request.')
+      .addToggle(toggle => toggle
+        .setValue(this.plugin.settings.redactionEnabled !== false)
+        .onChange(async (value) => {
+          this.plugin.settings.redactionEnabled = value;
+          await this.plugin.saveSettings();
+        }));
+
+    const patterns = this.plugin.settings.redactPatterns || (this.plugin.settings.redactPatterns = {});
+    for (const [key, name] of [['email', 'E-mail addresses'], ['phone', 'Phone numbers'], ['apiKey', 'API keys and passwords'], ['iban', 'IBANs']]) {
+      new Setting(containerEl)
+        .setName(`Redact ${name.toLowerCase()}`)
+        .addToggle(toggle => toggle
+          .setValue(patterns[key] !== false)
+          .onChange(async (value) => {
+            patterns[key] = value;
+            await this.plugin.saveSettings();
+          }));
+    }
+
+    new Setting(containerEl)
+      .setName('Custom patterns')
+      .setDesc('Regular expressions, one per line. Matches become [REDACTED_n].')
+      .addTextArea(text => text
+        .setPlaceholder('Case-\\d+')
+        .setValue(this.plugin.settings.customRedactPatterns || '')
+        .onChange(async (value) => {
+          this.plugin.settings.customRedactPatterns = value;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Frontmatter keys never sent')
+      .setDesc('Comma-separated, e.g. patient, address. Always removed: %%private%% paragraphs, %%private%% … %%/private%% blocks and callouts like > [!private] or > [!note|private].')
+      .addText(text => text
+        .setValue(this.plugin.settings.redactFrontmatterKeys || '')
+        .onChange(async (value) => {
+          this.plugin.settings.redactFrontmatterKeys = value;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Excluded folders')
+      .setDesc('One per line. Notes in these folders are never sent: not as origin context, not as related passages, and not as link suggestions.')
+      .addTextArea(text => text
+        .setPlaceholder('Private\nJournal/2024')
+        .setValue(this.plugin.settings.excludedFolders || '')
+        .onChange(async (value) => {
+          this.plugin.settings.excludedFolders = value;
+          await this.plugin.saveSettings();
+        }));
+
+    containerEl.createEl('h3', { text: 'Usage and budgets' });
+
+    new Setting(containerEl)
+      .setName('Budget unit')
+      .setDesc('Count budgets in cost (from the prices under Providers) or in tokens. Command palette → "Open token usage and cost" shows the totals.')
+      .addDropdown(dropdown => dropdown
+        .addOption('cost', 'Cost')
+        .addOption('tokens', 'Tokens')
+        .setValue(this.plugin.settings.budgetUnit || 'cost')
+        .onChange(async (value) => {
+          this.plugin.settings.budgetUnit = value;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Currency symbol')
+      .addText(text => text
+        .setPlaceholder('$')
+        .setValue(this.plugin.settings.currency || '$')
+        .onChange(async (value) => {
+          this.plugin.settings.currency = value.trim() || '$';
+          await this.plugin.saveSettings();
+        }));
+
+    for (const [key, name] of [['dailyBudget', 'Daily budget'], ['monthlyBudget', 'Monthly budget']]) {
+      new Setting(containerEl)
+        .setName(name)
+        .setDesc('When reached, automatic definitions stop and manual commands ask for confirmation. 0 = no budget.')
+        .addText(text => text
+          .setPlaceholder('0')
+          .setValue(String(this.plugin.settings[key] || 0))
+          .onChange(async (value) => {
+            const num = parseFloat(value);
+            if (!isNaN(num) && num >= 0) {
+              this.plugin.settings[key] = num;
+              await this.plugin.saveSettings();
+            }
+          }));
+    }
+
+    this._displayProviders(containerEl);
+    this._displayFallbackChain(containerEl);
+    this._displayRules(containerEl);
+  }
+
+  _displayProviders(containerEl) {
+    containerEl.createEl('h3', { text: 'Providers' });
+    for (const id of Object.keys(PROVIDERS)) {
+      const config = this.plugin.settings.providers[id];
+      containerEl.createEl('h4', { text: PROVIDERS[id].label });
+
+      new Setting(containerEl)
+        .setName('Base URL')
+        .setDesc(id === 'local'
+          ? 'OpenAI-compatible endpoint of the local server (Ollama: http://localhost:11434/v1, llama.cpp: http://localhost:8080/v1).'
+          : 'API base URL. Requests go to /chat/completions (or /messages for Anthropic).')
+        .addText(text => text
+          .setPlaceholder(PROVIDERS[id].baseUrl)
+          .setValue(config.baseUrl || '')
+          .onChange(async (value) => {
+            config.baseUrl = value.trim() || PROVIDERS[id].baseUrl;
+            await this.plugin.saveSettings();
+          }));
+
+      // The Copilot provider authenticates with the license key above
+      if (id !== 'copilot') {
+        new Setting(containerEl)
+          .setName('API key')
+          .setDesc(PROVIDERS[id].requiresKey ? 'Required.' : 'Optional; only needed if the server enforces one.')
+          .addText(text => {
+            text.inputEl.type = 'password'; // SECURITY: Mask by default
+            text.setPlaceholder('enter API key')
+              .setValue(config.apiKey || '')
+              .onChange(async (value) => {
+                config.apiKey = value.trim();
+                await this.plugin.saveSettings();
+              });
+          });
+      }
+
+      new Setting(containerEl)
+        .setName('Model')
+        .setDesc('Default model, used when a fallback chain entry does not name one.')
+        .addText(text => text
+          .setPlaceholder(PROVIDERS[id].model)
+          .setValue(config.model || '')
+          .onChange(async (value) => {
+            config.model = value.trim() || PROVIDERS[id].model;
+            await this.plugin.saveSettings();
+          }));
+
+      // The Messages API rejects temperatures above 1
+      const maxTemperature = PROVIDERS[id].format === 'anthropic' ? 1 : 2;
+      new Setting(containerEl)
+        .setName('Temperature')
+        .setDesc(`0 to ${maxTemperature}.`)
+        .addText(text => text
+          .setPlaceholder('0.2')
+          .setValue(String(config.temperature))
+          .onChange(async (value) => {
+            const num = parseFloat(value);
+            if (!isNaN(num) && num >= 0 && num <= maxTemperature) {
+              config.temperature = num;
+              await this.plugin.saveSettings();
+            }
+          }));
+
+      new Setting(containerEl)
+        .setName('Max tokens')
+        .setDesc('Upper bound on completion tokens (0 = provider default; Anthropic requires a value and falls back to 1024).')
+        .addText(text => text
+          .setPlaceholder(String(PROVIDERS[id].maxTokens))
+          .setValue(String(config.maxTokens || 0))
+          .onChange(async (value) => {
+            const num = parseInt(value, 10);
+            if (!isNaN(num) && num >= 0) {
+              config.maxTokens = num;
+              await this.plugin.saveSettings();
+            }
+          }));
+
+      const price = this.plugin.settings.prices[id];
+      new Setting(containerEl)
+        .setName('Price per million tokens')
+        .setDesc('Input and output price, used for the cost statistics and budgets.')
+        .addText(text => text
+          .setPlaceholder('input')
+          .setValue(String(price.input))
+          .onChange(async (value) => {
+            const num = parseFloat(value);
+            if (!isNaN(num) && num >= 0) {
+              price.input = num;
+              await this.plugin.saveSettings();
+            }
+          }))
+        .addText(text => text
+          .setPlaceholder('output')
+          .setValue(String(price.output))
+          .onChange(async (value) => {
+            const num = parseFloat(value);
+            if (!isNaN(num) && num >= 0) {
+              price.output = num;
+              await this.plugin.saveSettings();
+            }
+          }));
+    }
+  }
+
+  _displayFallbackChain(containerEl) {
+    containerEl.createEl('h3', { text: 'Fallback chain' });
+    containerEl.createEl('p', {
+      text: 'Provider/model pairs tried in order until one returns a definition. Leave the model empty to use the provider default.',
+      cls: 'setting-item-description'
+    });
+
+    const chain = this.plugin.settings.fallbackChain;
+    chain.forEach((entry, index) => {
+      const row = new Setting(containerEl).setName(`Attempt ${index + 1}`);
+      row.addDropdown(dropdown => {
+        for (const id of Object.keys(PROVIDERS)) dropdown.addOption(id, PROVIDERS[id].label);
+        dropdown.setValue(entry.provider)
+          .onChange(async (value) => {
+            entry.provider = value;
+            await this.plugin.saveSettings();
+          });
+      });
+      row.addText(text => text
+        .setPlaceholder('provider default')
+        .setValue(entry.model || '')
+        .onChange(async (value) => {
+          entry.model = value.trim();
+          await this.plugin.saveSettings();
+        }));
+      row.addToggle(toggle => toggle
+        .setTooltip('Request an SSE stream')
+        .setValue(!!entry.stream)
+        .onChange(async (value) => {
+          entry.stream = value;
+          await this.plugin.saveSettings();
+        }));
+      row.addExtraButton(button => button
+        .setIcon('arrow-up')
+        .setTooltip('Move up')
+        .setDisabled(index === 0)
+        .onClick(async () => {
+          if (index === 0) return;
+          chain.splice(index - 1, 0, chain.splice(index, 1)[0]);
+          await this.plugin.saveSettings();
+          this.display();
+        }));
+      row.addExtraButton(button => button
+        .setIcon('arrow-down')
+        .setTooltip('Move down')
+        .setDisabled(index === chain.length - 1)
+        .onClick(async () => {
+          if (index === chain.length - 1) return;
+          chain.splice(index + 1, 0, chain.splice(index, 1)[0]);
+          await this.plugin.saveSettings();
+          this.display();
+        }));
+      row.addExtraButton(button => button
+        .setIcon('trash')
+        .setTooltip('Remove')
+        .onClick(async () => {
+          chain.splice(index, 1);
+          await this.plugin.saveSettings();
+          this.display();
+        }));
+    });
+
+    new Setting(containerEl)
+      .addButton(button => button
+        .setButtonText('Add attempt')
+        .onClick(async () => {
+          chain.push({ provider: 'openai', model: '', stream: false });
+          await this.plugin.saveSettings();
+          this.display();
+        }));
+  }
+
+  _displayRules(containerEl) {
+    containerEl.createEl('h3', { text: 'Origin rules' });
+    containerEl.createEl('p', {
+      text: 'Rules are checked in order against the origin note; the first match picks the template, output folder, model, extra tags and whether auto-generation runs. Applies to auto-generation and both regenerate commands.',
+      cls: 'setting-item-description'
+    });
+
+    const rules = this.plugin.settings.rules;
+    rules.forEach((rule, index) => {
+      new Setting(containerEl)
+        .setName(rule.name || `Rule ${index + 1}`)
+        .setHeading()
+        .addToggle(toggle => toggle
+          .setTooltip('Enabled')
+          .setValue(rule.enabled !== false)
+          .onChange(async (value) => {
+            rule.enabled = value;
+            await this.plugin.saveSettings();
+          }))
+        .addExtraButton(button => button
+          .setIcon('arrow-up')
+          .setTooltip('Move up')
+          .setDisabled(index === 0)
+          .onClick(async () => {
+            if (index === 0) return;
+            rules.splice(index - 1, 0, rules.splice(index, 1)[0]);
+            await this.plugin.saveSettings();
+            this.display();
+          }))
+        .addExtraButton(button => button
+          .setIcon('arrow-down')
+          .setTooltip('Move down')
+          .setDisabled(index === rules.length - 1)
+          .onClick(async () => {
+            if (index === rules.length - 1) return;
+            rules.splice(index + 1, 0, rules.splice(index, 1)[0]);
+            await this.plugin.saveSettings();
+            this.display();
+          }))
+        .addExtraButton(button => button
+          .setIcon('trash')
+          .setTooltip('Remove')
+          .onClick(async () => {
+            rules.splice(index, 1);
+            await this.plugin.saveSettings();
+            this.display();
+          }));
+
+      new Setting(containerEl)
+        .setName('Name')
+        .addText(text => text
+          .setValue(rule.name || '')
+          .onChange(async (value) => {
+            rule.name = value;
+            await this.plugin.saveSettings();
+          }));
+
+      new Setting(containerEl)
+        .setName('Match')
+        .setDesc('Folder glob (e.g. Medicine/** or Fiction), tag (e.g. #clinical), or frontmatter key (key or key=value).')
+        .addDropdown(dropdown => dropdown
+          .addOption('folder', 'Folder glob')
+          .addOption('tag', 'Tag')
+          .addOption('frontmatter', 'Frontmatter key')
+          .setValue(rule.matchType || 'folder')
+          .onChange(async (value) => {
+            rule.matchType = value;
+            await this.plugin.saveSettings();
+          }))
+        .addText(text => text
+          .setPlaceholder('Medicine/**')
+          .setValue(rule.pattern || '')
+          .onChange(async (value) => {
+            rule.pattern = value.trim();
+            await this.plugin.saveSettings();
+          }));
+
+      new Setting(containerEl)
+        .setName('Template')
+        .setDesc('Template name in the template folder, or a template note path. Empty = default template.')
+        .addText(text => text
+          .setValue(rule.template || '')
+          .onChange(async (value) => {
+            rule.template = value.trim();
+            await this.plugin.saveSettings();
+          }));
+
+      new Setting(containerEl)
+        .setName('Output folder')
+        .setDesc('Folder for notes generated from matching notes. Empty = the glossary folder under "Generated notes".')
+        .addText(text => text
+          .setPlaceholder('Medicine/Glossary')
+          .setValue(rule.folder || '')
+          .onChange(async (value) => {
+            rule.folder = value.trim();
+            await this.plugin.saveSettings();
+          }));
+
+      new Setting(containerEl)
+        .setName('Provider / model')
+        .setDesc('Use only this provider and model instead of the fallback chain. Empty model = provider default.')
+        .addDropdown(dropdown => {
+          dropdown.addOption('', 'Fallback chain');
+          for (const id of Object.keys(PROVIDERS)) dropdown.addOption(id, PROVIDERS[id].label);
+          dropdown.setValue(rule.provider || '')
+            .onChange(async (value) => {
+              rule.provider = value;
+              await this.plugin.saveSettings();
+            });
+        })
+        .addText(text => text
+          .setPlaceholder('provider default')
+          .setValue(rule.model || '')
+          .onChange(async (value) => {
+            rule.model = value.trim();
+            await this.plugin.saveSettings();
+          }));
+
+      new Setting(containerEl)
+        .setName('Tags')
+        .setDesc('Comma-separated tags added to the generated note\'s frontmatter.')
+        .addText(text => text
+          .setPlaceholder('medicine, clinical')
+          .setValue(rule.tags || '')
+          .onChange(async (value) => {
+            rule.tags = value;
+            await this.plugin.saveSettings();
+          }));
+
+      new Setting(containerEl)
+        .setName('Auto-generate')
+        .setDesc('If off, following a new link from a matching note does not generate a definition (commands still work).')
+        .addToggle(toggle => toggle
+          .setValue(rule.autoGenerate !== false)
+          .onChange(async (value) => {
+            rule.autoGenerate = value;
+            await this.plugin.saveSettings();
+          }));
+    });
+
+    new Setting(containerEl)
+      .addButton(button => button
+        .setButtonText('Add rule')
+        .onClick(async () => {
+          rules.push({ name: '', enabled: true, matchType: 'folder', pattern: '', template: '', folder: '', provider: '', model: '', tags: '', autoGenerate: true });
+          await this.plugin.saveSettings();
+          this.display();
+        }));
+  }
+}
+
+class OriginNoteSuggestModal extends SuggestModal {
+  constructor(app, files, onChoose) {
+    super(app);
+    this.files = files || [];
+    this.onChoose = onChoose;
+    this.setPlaceholder('Type to search origin note…');
+  }
+
+  getSuggestions(query) {
+    const q = (query || '').toLowerCase();
+    return this.files
+      .filter((f) => f.basename.toLowerCase().includes(q) || f.path.toLowerCase().includes(q))
+      .slice(0, 100);
+  }
+
+  renderSuggestion(file, el) {
+    el.createEl('div', { text: file.basename });
+    el.createEl('small', { text: file.path, cls: 'mod-muted' });
+  }
+
+  onChooseSuggestion(file) {
+    if (typeof this.onChoose === 'function') {
+      this.onChoose(file);
+    }
+  }
+}
+
+class SensePickerModal extends SuggestModal {
+  constructor(app, term, senses, onResolve) {
+    super(app);
+    this.senses = senses || [];
+    this.onResolve = onResolve;
+    this.chosen = null;
+    this.setPlaceholder(`Which sense of "${term}" is meant?`);
+  }
+
+  getSuggestions(query) {
+    const q = (query || '').toLowerCase();
+    return this.senses.filter((s) => s.sense.toLowerCase().includes(q) || s.description.toLowerCase().includes(q));
+  }
+
+  renderSuggestion(sense, el) {
+    el.createEl('div', { text: `${sense.sense} — ${sense.confidence}%` });
+    if (sense.description) el.createEl('small', { text: sense.description, cls: 'mod-muted' });
+  }
+
+  onChooseSuggestion(sense) {
+    this.chosen = sense;
+  }
+
+  onClose() {
+    // onChooseSuggestion fires after onClose; resolve on the next tick
+    setTimeout(() => this.onResolve(this.chosen), 0);
+  }
+}
+
+/** Shows the exact request the next generation would send, with the redactions applied. */
+class PayloadPreviewModal extends Modal {
+  constructor(app, plugin, plan) {
+    super(app);
+    this.plugin = plugin;
+    this.plan = plan;
+  }
+
+  onOpen() {
+    const { contentEl } = this;
+    const plugin = this.plugin;
+    const plan = this.plan;
+    this.modalEl.addClass('cwd-diff-modal');
+    contentEl.createEl('h2', { text: 'What will be sent' });
+
+    const counts = Object.entries(plan.redaction.counts).map(([kind, n]) => `${n} × ${kind}`);
+    const origin = plan.origin === plan.target ? 'the note itself' : plan.origin.path;
+    contentEl.createEl('p', {
+      text: `Definition of "${plan.term}" from ${origin}. ${counts.length ? `Redacted: ${counts.join(', ')}.` : 'Nothing was redacted.'}`,
+    });
+
+    // First chain entry that would actually be tried
+    const entry = (plan.chain && plan.chain.length ? plan.chain : plugin.settings.fallbackChain).find((e) => {
+      const config = plugin._getProviderConfig(e.provider);
+      return config && (!PROVIDERS[e.provider].requiresKey || config.apiKey);
+    });
+    if (!entry) {
+      contentEl.createEl('p', { text: 'No provider in the chain is configured; nothing would be sent. The prompt is shown below.' });
+      contentEl.createEl('pre', { text: plan.prompt, cls: 'cwd-diff-cell cwd-history-diff' });
+      return;
+    }
+    const config = plugin._getProviderConfig(entry.provider);
+    const request = plugin._planRequest(plan, entry);
+    const headers = Object.assign({}, request.headers);
+    for (const key of Object.keys(headers)) {
+      // SECURITY: Never show credentials
+      if (/^(authorization|x-api-key)$/i.test(key)) headers[key] = '••••••';
+    }
+    let body = request.body;
+    try {
+      body = JSON.stringify(JSON.parse(request.body), null, 2);
+    } catch (_) {}
+    const payload = `POST ${request.url}\n${Object.entries(headers).map(([k, v]) => `${k}: ${v}`).join('\n')}\n\n${body}`;
+    contentEl.createEl('p', { text: `${PROVIDERS[entry.provider].label} / ${entry.model || config.model}. Later fallback entries would receive the same prompt.`, cls: 'setting-item-description' });
+    contentEl.createEl('pre', { text: payload, cls: 'cwd-diff-cell cwd-history-diff' });
+    new Setting(contentEl)
+      .addButton(button => button
+        .setButtonText('Copy prompt')
+        .onClick(async () => {
+          await navigator.clipboard.writeText(plan.prompt);
+          new Notice('Prompt copied.');
+        }))
+      .addButton(button => button
+        .setButtonText('Close')
+        .setCta()
+        .onClick(() => this.close()));
+  }
+
+  onClose() {
+    this.contentEl.empty();
+  }
+}
+
+class ConfirmModal extends Modal {
+  constructor(app, options, onResolve) {
+    super(app);
+    this.options = options;
+    this.onResolve = onResolve;
+    this.result = false;
+  }
+
+  onOpen() {
+    const { contentEl } = this;
+    contentEl.createEl('h2', { text: this.options.title });
+    contentEl.createEl('p', { text: this.options.message });
+    new Setting(contentEl)
+      .addButton(button => button
+        .setButtonText(this.options.confirmText || 'OK')
+        .setCta()
+        .onClick(() => {
+          this.result = true;
+          this.close();
+        }))
+      .addButton(button => button
+        .setButtonText(this.options.cancelText || 'Cancel')
+        .onClick(() => this.close()));
+  }
+
+  onClose() {
+    this.contentEl.empty();
+    this.onResolve(this.result);
+  }
+}
+
+/** Term for "Define selected text as…": the typed text as a new term, or an existing note. */
+class TermSuggestModal extends SuggestModal {
+  constructor(app, initial, onChoose) {
+    super(app);
+    this.onChoose = onChoose;
+    this.setPlaceholder('Term or existing note…');
+    this.inputEl.value = initial || '';
+  }
+
+  getSuggestions(query) {
+    const q = (query || '').trim();
+    const lower = q.toLowerCase();
+    const files = this.app.vault.getMarkdownFiles()
+      .filter((f) => !lower || f.basename.toLowerCase().includes(lower))
+      .slice(0, 50);
+    const exact = files.some((f) => f.basename.toLowerCase() === lower);
+    return q && !exact ? [q, ...files] : files;
+  }
+
+  renderSuggestion(item, el) {
+    if (item instanceof TFile) {
+      el.createEl('div', { text: item.basename });
+      el.createEl('small', { text: item.path, cls: 'mod-muted' });
+    } else {
+      el.createEl('div', { text: item });
+      el.createEl('small', { text: 'New note', cls: 'mod-muted' });
+    }
+  }
+
+  onChooseSuggestion(item) {
+    if (typeof this.onChoose === 'function') {
+      this.onChoose(item);
+    }
+  }
+}
+
+class FolderSuggestModal extends SuggestModal {
+  constructor(app, folders, onChoose) {
+    super(app);
+    this.folders = folders || [];
+    this.onChoose = onChoose;
+    this.setPlaceholder('Type to search folder…');
+  }
+
+  getSuggestions(query) {
+    const q = (query || '').toLowerCase();
+    return this.folders
+      .filter((f) => (f.isRoot() ? '/' : f.path).toLowerCase().includes(q))
+      .slice(0, 100);
+  }
+
+  renderSuggestion(folder, el) {
+    el.createEl('div', { text: folder.isRoot() ? '/' : folder.path });
+  }
+
+  onChooseSuggestion(folder) {
+    if (typeof this.onChoose === 'function') {
+      this.onChoose(folder);
+    }
+  }
+}
+
+class DefinitionDiffModal extends Modal {
+  constructor(app, plugin, current, proposed, onResolve) {
+    super(app);
+    this.plugin = plugin;
+    this.current = plugin._splitSections(current);
+    this.proposed = plugin._splitSections(proposed);
+    this.proposedText = proposed;
+    this.onResolve = onResolve;
+    this.resolved = false;
+    this.rows = this._buildRows();
+  }
+
+  /** Pair sections by heading; sections only in the current note stay next to their original neighbours. */
+  _buildRows() {
+    const key = (heading) => heading.toLowerCase();
+    const currentByKey = new Map(this.current.sections.map((s) => [key(s.heading), s]));
+    const proposedKeys = new Set(this.proposed.sections.map((s) => key(s.heading)));
+    const rows = this.proposed.sections.map((s) => {
+      const cur = currentByKey.get(key(s.heading));
+      const same = cur && cur.body === s.body;
+      return { heading: s.heading, current: cur ? cur.body : null, proposed: s.body, choice: same ? 'current' : 'proposed' };
+    });
+    let insertAt = 0;
+    for (const s of this.current.sections) {
+      const k = key(s.heading);
+      if (proposedKeys.has(k)) {
+        insertAt = rows.findIndex((r) => key(r.heading) === k) + 1;
+      } else {
+        rows.splice(insertAt++, 0, { heading: s.heading, current: s.body, proposed: null, choice: 'current' });
+      }
+    }
+    return rows;
+  }
+
+  onOpen() {
+    const { contentEl } = this;
+    this.modalEl.addClass('cwd-diff-modal');
+    contentEl.createEl('h2', { text: 'Review regenerated definition' });
+
+    const userKeys = this._userFrontmatterKeys();
+    if (userKeys.length > 0) {
+      contentEl.createEl('p', { text: `Frontmatter keys you added are kept: ${userKeys.join(', ')}`, cls: 'setting-item-description' });
+    }
+
+    const table = contentEl.createDiv({ cls: 'cwd-diff-table' });
+    const header = table.createDiv({ cls: 'cwd-diff-row cwd-diff-header' });
+    header.createDiv({ text: 'Section' });
+    header.createDiv({ text: 'Current' });
+    header.createDiv({ text: 'Proposed' });
+
+    for (const row of this.rows) {
+      const status = row.current == null ? 'added' : row.proposed == null ? 'removed' : row.current === row.proposed ? 'unchanged' : 'changed';
+      const rowEl = table.createDiv({ cls: `cwd-diff-row cwd-diff-${status}` });
+      const labelEl = rowEl.createDiv({ cls: 'cwd-diff-label' });
+      labelEl.createEl('strong', { text: row.heading || '(before first heading)' });
+      labelEl.createEl('div', { text: status, cls: 'cwd-diff-status' });
+      if (status !== 'unchanged') {
+        const select = labelEl.createEl('select', { cls: 'dropdown' });
+        const options = row.current == null
+          ? [['proposed', 'Add'], ['current', 'Skip']]
+          : row.proposed == null
+            ? [['current', 'Keep'], ['proposed', 'Remove']]
+            : [['proposed', 'Use proposed'], ['current', 'Keep current'], ['merge', 'Merge']];
+        for (const [value, text] of options) select.createEl('option', { value, text });
+        select.value = row.choice;
+        select.addEventListener('change', () => { row.choice = select.value; });
+      }
+
+      const diff = this.plugin._diffLines(row.current || '', row.proposed || '');
+      const left = rowEl.createEl('pre', { cls: 'cwd-diff-cell' });
+      const right = rowEl.createEl('pre', { cls: 'cwd-diff-cell' });
+      for (const part of diff) {
+        if (part.type !== 'add' && row.current != null) left.createDiv({ text: part.line || ' ', cls: part.type === 'del' ? 'cwd-diff-del' : '' });
+        if (part.type !== 'del' && row.proposed != null) right.createDiv({ text: part.line || ' ', cls: part.type === 'add' ? 'cwd-diff-add' : '' });
+      }
+    }
+
+    new Setting(contentEl)
+      .addButton(button => button
+        .setButtonText('Accept all')
+        .setCta()
+        .onClick(() => {
+          for (const row of this.rows) {
+            // Sections the user added (absent from the proposal) are kept
+            row.choice = row.proposed == null ? 'current' : 'proposed';
+          }
+          this._resolve(this._assemble());
+        }))
+      .addButton(button => button
+        .setButtonText('Apply selection')
+        .onClick(() => this._resolve(this._assemble())))
+      .addButton(button => button
+        .setButtonText('Discard')
+        .onClick(() => this._resolve(null)));
+  }
+
+  _userFrontmatterKeys() {
+    try {
+      const current = this.current.frontmatter ? obsidian.parseYaml(this.current.frontmatter) || {} : {};
+      const proposed = this.proposed.frontmatter ? obsidian.parseYaml(this.proposed.frontmatter) || {} : {};
+      return Object.keys(current).filter((k) => !Object.prototype.hasOwnProperty.call(proposed, k));
+    } catch (_) {
+      return [];
+    }
+  }
+
+  _assemble() {
+    const parts = [];
+    const frontmatter = this.plugin._mergeFrontmatter(this.current.frontmatter, this.proposed.frontmatter);
+    if (frontmatter != null) parts.push(`---\n${frontmatter}\n---`);
+    for (const row of this.rows) {
+      let body;
+      if (row.choice === 'merge') {
+        // Keep the current text and append proposed lines it doesn't already contain
+        const existing = new Set((row.current || '').split('\n').map((l) => l.trim()));
+        const extra = (row.proposed || '').split('\n').filter((l) => l.trim() && !existing.has(l.trim()));
+        body = [row.current || '', ...extra].join('\n').trim();
+      } else {
+        body = row.choice === 'current' ? row.current : row.proposed;
+      }
+      if (body == null) continue;
+      parts.push(row.heading ? `${row.heading}\n${body}`.trim() : body);
+    }
+    return `${parts.filter((p) => p !== '').join('\n\n')}\n`;
+  }
+
+  _resolve(value) {
+    if (this.resolved) return;
+    this.resolved = true;
+    this.onResolve(value);
+    this.close();
+  }
+
+  onClose() {
+    this.contentEl.empty();
+    // Closing without a choice discards the regeneration
+    this._resolve(null);
+  }
+}
+
+class BatchDefineModal extends Modal {
+  constructor(app, plugin, specs, options) {
+    super(app);
+    this.plugin = plugin;
+    this.specs = specs;
+    this.jobs = [];
+    this.label = options.label;
+    this.overCap = options.overCap || 0;
+    this.summarized = false;
+  }
+
+  onOpen() {
+    const { contentEl } = this;
+    contentEl.createEl('h2', { text: `Define unresolved links — ${this.label}` });
+    if (this.overCap > 0) {
+      contentEl.createEl('p', { text: `${this.overCap} more link(s) exceed the per-run cap and were left for a later run.`, cls: 'setting-item-description' });
+    }
+    this.progressEl = contentEl.createEl('progress', { cls: 'cwd-batch-progress' });
+    this.progressEl.max = this.specs.length;
+    this.statusEl = contentEl.createEl('p');
+    this.listEl = contentEl.createDiv({ cls: 'cwd-batch-list' });
+    this.summaryEl = contentEl.createDiv();
+
+    new Setting(contentEl)
+      .addButton(button => button
+        .setButtonText('Stop')
+        .onClick(() => {
+          for (const job of this.jobs) {
+            if (job.status === 'pending') this.plugin.queue.cancel(job.id, 'skipped');
+          }
+        }))
+      .addButton(button => button
+        .setButtonText('Retry failed')
+        .onClick(() => {
+          this.summarized = false;
+          for (const job of this.jobs) {
+            if (job.status === 'failed') this.plugin.queue.retry(job.id);
+          }
+        }))
+      .addButton(button => button
+        .setButtonText('Close')
+        .onClick(() => this.close()));
+
+    this.unsubscribe = this.plugin.queue.onChange(() => this._render());
+    this.jobs = this.specs.map((spec) => this.plugin.queue.enqueue(spec));
+    this._render();
+  }
+
+  _render() {
+    if (!this.listEl) return;
+    const active = this.jobs.filter((j) => j.status === 'pending' || j.status === 'running');
+    const running = this.jobs.filter((j) => j.status === 'running').length;
+    this.progressEl.value = this.jobs.length - active.length;
+    this.statusEl.setText(`${this.jobs.length - active.length} / ${this.jobs.length} processed${running ? ` — ${running} running` : ''}`);
+
+    this.listEl.empty();
+    for (const job of this.jobs) {
+      const waiting = job.status === 'pending' && job.nextAttemptAt > Date.now() ? ' (waiting to retry)' : '';
+      const row = new Setting(this.listEl)
+        .setName(job.linktext || job.targetPath)
+        .setDesc(`${job.status}${waiting}${job.error ? ` — ${job.error}` : ''}`);
+      if (job.status === 'pending') {
+        row.addButton(button => button
+          .setButtonText('Skip')
+          .onClick(() => this.plugin.queue.cancel(job.id, 'skipped')));
+      } else if (job.status === 'failed') {
+        row.addButton(button => button
+          .setButtonText('Retry')
+          .onClick(() => {
+            this.summarized = false;
+            this.plugin.queue.retry(job.id);
+          }));
+      }
+    }
+    if (this.jobs.length > 0 && active.length === 0) this._summarize();
+  }
+
+  _summarize() {
+    if (this.summarized) return;
+    this.summarized = true;
+    const count = (...statuses) => this.jobs.filter((j) => statuses.includes(j.status)).length;
+    const summary = `Defined ${count('done')}, failed ${count('failed')}, skipped ${count('skipped', 'cancelled', 'discarded')}.`;
+    this.summaryEl.empty();
+    this.summaryEl.createEl('p', { text: summary });
+    new Notice(`Batch definition finished. ${summary}`);
+  }
+
+  onClose() {
+    // Jobs keep running in the queue; follow them in the queue view
+    if (this.unsubscribe) this.unsubscribe();
+    this.contentEl.empty();
+    this.listEl = null;
+  }
+}
+
+/**
+ * Token and cost ledger stored in usage.json in the plugin folder: daily totals per
+ * provider/model (kept for about 13 months) and the most recent requests.
+ */
+class UsageLedger {
+  constructor(plugin) {
+    this.plugin = plugin;
+    this.days = {}; // 'YYYY-MM-DD' -> { 'provider/model': totals }
+    this.requests = []; // Newest last
+    this.listeners = new Set();
+    this.saveTimer = null;
+    this.path = `${plugin.manifest.dir}/usage.json`;
+  }
+
+  async load() {
+    try {
+      const adapter = this.plugin.app.vault.adapter;
+      if (!(await adapter.exists(this.path))) return;
+      const data = JSON.parse(await adapter.read(this.path));
+      this.days = (data && data.days) || {};
+      this.requests = (data && Array.isArray(data.requests)) ? data.requests : [];
+    } catch (e) {
+      console.error('Failed to load usage statistics', e);
+    }
+  }
+
+  async save() {
+    try {
+      await this.plugin.app.vault.adapter.write(this.path, JSON.stringify({ version: 1, days: this.days, requests: this.requests }));
+    } catch (e) {
+      console.error('Failed to save usage statistics', e);
+    }
+  }
+
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /** Local calendar day, e.g. 2024-05-31. */
+  static dayKey(date = new Date()) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  add(record) {
+    const entry = Object.assign({ timestamp: Date.now() }, record);
+    this.requests.push(entry);
+    if (this.requests.length > 500) this.requests = this.requests.slice(-500);
+
+    const day = UsageLedger.dayKey(new Date(entry.timestamp));
+    const key = `${entry.provider}/${entry.model}`;
+    const bucket = this.days[day] || (this.days[day] = {});
+    const totals = bucket[key] || (bucket[key] = { requests: 0, promptTokens: 0, completionTokens: 0, estimated: 0, cost: 0 });
+    totals.requests++;
+    totals.promptTokens += entry.promptTokens;
+    totals.completionTokens += entry.completionTokens;
+    totals.cost += entry.cost;
+    if (entry.estimated) totals.estimated++;
+
+    const cutoff = UsageLedger.dayKey(new Date(Date.now() - 400 * 24 * 60 * 60 * 1000));
+    for (const d of Object.keys(this.days)) {
+      if (d < cutoff) delete this.days[d];
+    }
+
+    for (const listener of this.listeners) {
+      try {
+        listener();
+      } catch (e) {
+        console.error('Usage listener failed', e);
+      }
+    }
+    if (this.saveTimer) clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, 2000);
+  }
+
+  /** Totals for 'day' (today) or 'month' (this calendar month), optionally grouped by provider/model. */
+  totals(period, grouped = false) {
+    const today = UsageLedger.dayKey();
+    const prefix = period === 'month' ? today.slice(0, 7) : today;
+    const sum = { requests: 0, promptTokens: 0, completionTokens: 0, estimated: 0, cost: 0 };
+    const groups = {};
+    for (const [day, bucket] of Object.entries(this.days)) {
+      if (!day.startsWith(prefix)) continue;
+      for (const [key, t] of Object.entries(bucket)) {
+        const g = groups[key] || (groups[key] = { requests: 0, promptTokens: 0, completionTokens: 0, estimated: 0, cost: 0 });
+        for (const field of Object.keys(sum)) {
+          sum[field] += t[field] || 0;
+          g[field] += t[field] || 0;
+        }
+      }
+    }
+    return grouped ? groups : sum;
+  }
+
+  flush() {
+    if (!this.saveTimer) return;
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    this.save();
+  }
+}
+
+/**
+ * Per-note generation history stored in history.json in the plugin folder. Each version
+ * keeps the written text with the prompt hash, provider, model and origin that produced it.
+ * Versions beyond the configured count or age are pruned; the newest one always stays.
+ */
+class DefinitionHistory {
+  constructor(plugin) {
+    this.plugin = plugin;
+    this.notes = {}; // path -> versions, oldest first
+    this.listeners = new Set();
+    this.saveTimer = null;
+    this.path = `${plugin.manifest.dir}/history.json`;
+  }
+
+  async load() {
+    try {
+      const adapter = this.plugin.app.vault.adapter;
+      if (!(await adapter.exists(this.path))) return;
+      const data = JSON.parse(await adapter.read(this.path));
+      this.notes = data && data.notes && typeof data.notes === 'object' ? data.notes : {};
+      for (const path of Object.keys(this.notes)) this._prune(path);
+    } catch (e) {
+      console.error('Failed to load definition history', e);
+    }
+  }
+
+  async save() {
+    try {
+      await this.plugin.app.vault.adapter.write(this.path, JSON.stringify({ version: 1, notes: this.notes }));
+    } catch (e) {
+      console.error('Failed to save definition history', e);
+    }
+  }
+
+  /** Write pending changes now (on unload). */
+  flush() {
+    if (!this.saveTimer) return;
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    this.save();
+  }
+
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  _changed() {
+    for (const listener of this.listeners) {
+      try {
+        listener();
+      } catch (e) {
+        console.error('History listener failed', e);
+      }
+    }
+    if (this.saveTimer) clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, 1000);
+  }
+
+  /** Versions of a note, newest first. */
+  versions(path) {
+    return (this.notes[path] || []).slice().reverse();
+  }
+
+  async record(path, entry) {
+    const list = this.notes[path] || (this.notes[path] = []);
+    list.push(Object.assign({ id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`, timestamp: Date.now() }, entry));
+    this._prune(path);
+    this._changed();
+  }
+
+  /** Keep text that is about to be replaced, unless it is empty or already the newest version. */
+  async snapshot(path, text) {
+    if (!text || !text.trim()) return;
+    const list = this.notes[path] || [];
+    const latest = list[list.length - 1];
+    if (latest && latest.output === text) return;
+    await this.record(path, { kind: 'before', promptHash: null, provider: null, model: null, origin: null, output: text });
+  }
+
+  _prune(path) {
+    const settings = this.plugin.settings;
+    let list = this.notes[path] || [];
+    if (settings.historyMaxAgeDays > 0) {
+      const cutoff = Date.now() - settings.historyMaxAgeDays * 24 * 60 * 60 * 1000;
+      const newest = list[list.length - 1];
+      list = list.filter((v) => v.timestamp >= cutoff || v === newest);
+    }
+    const max = settings.historyMaxVersions > 0 ? settings.historyMaxVersions : 20;
+    if (list.length > max) list = list.slice(list.length - max);
+    if (list.length > 0) this.notes[path] = list;
+    else delete this.notes[path];
+  }
+
+  rename(oldPath, newPath) {
+    if (!this.notes[oldPath]) return;
+    this.notes[newPath] = (this.notes[newPath] || []).concat(this.notes[oldPath]).sort((a, b) => a.timestamp - b.timestamp);
+    delete this.notes[oldPath];
+    this._changed();
+  }
+
+  remove(path) {
+    if (!this.notes[path]) return;
+    delete this.notes[path];
+    this._changed();
+  }
+}
+
+/**
+ * Map from origin notes to the definitions generated from them, so a changed origin finds
+ * its definitions without scanning the vault. Built from the metadata cache once the layout
+ * is ready, then kept current per note: writing a definition's frontmatter fires "changed".
+ */
+class OriginMap {
+  constructor(plugin) {
+    this.plugin = plugin;
+    this.app = plugin.app;
+    this.byOrigin = new Map(); // origin path -> Set of definition paths
+    this.byDefinition = new Map(); // definition path -> origin paths
+  }
+
+  build() {
+    this.byOrigin.clear();
+    this.byDefinition.clear();
+    for (const file of this.app.vault.getMarkdownFiles()) this.update(file);
+  }
+
+  /** Paths of the definitions generated from `originPath`. */
+  definitionsOf(originPath) {
+    return [...(this.byOrigin.get(originPath) || [])];
+  }
+
+  /** Re-read a note's `origin:` and `origins:` links; notes that aren't generated definitions drop out. */
+  update(file) {
+    if (!(file instanceof TFile) || file.extension !== 'md') return;
+    this.remove(file.path);
+    const fm = (this.app.metadataCache.getFileCache(file) || {}).frontmatter;
+    if (!fm || fm.generated !== true || !fm.origin) return;
+    const origins = [...new Set(this.plugin._originPaths(file, fm))].filter((path) => path !== file.path);
+    this.byDefinition.set(file.path, origins);
+    for (const origin of origins) {
+      if (!this.byOrigin.has(origin)) this.byOrigin.set(origin, new Set());
+      this.byOrigin.get(origin).add(file.path);
+    }
+  }
+
+  rename(file, oldPath) {
+    // A renamed origin keeps its definitions; their updated links arrive as "changed" events
+    const definitions = this.byOrigin.get(oldPath);
+    if (definitions) {
+      this.byOrigin.delete(oldPath);
+      this.byOrigin.set(file.path, definitions);
+      for (const path of definitions) {
+        this.byDefinition.set(path, this.byDefinition.get(path).map((origin) => (origin === oldPath ? file.path : origin)));
+      }
+    }
+    this.remove(oldPath);
+    this.update(file);
+  }
+
+  /** Forget a definition. Its origins' entries go; an origin's own entry stays, in case the note comes back. */
+  remove(path) {
+    for (const origin of this.byDefinition.get(path) || []) {
+      const definitions = this.byOrigin.get(origin);
+      if (!definitions) continue;
+      definitions.delete(path);
+      if (definitions.size === 0) this.byOrigin.delete(origin);
+    }
+    this.byDefinition.delete(path);
+  }
+}
+
+/**
+ * Glossary index note listing every note with `generated: true`: its one-sentence
+ * definition and origin, grouped alphabetically, by origin folder or by origin tag.
+ * The list between the markers is the only state: an update parses it, replaces the
+ * entry of the one note that changed and writes it back. Text outside the markers is kept.
+ */
+class GlossaryIndex {
+  constructor(plugin) {
+    this.plugin = plugin;
+    this.app = plugin.app;
+    this.chain = Promise.resolve(); // Updates are applied one at a time
+    this.timers = new Map(); // path -> pending update timer
+  }
+
+  get path() {
+    const raw = (this.plugin.settings.glossaryIndexPath || '').trim();
+    return raw ? obsidian.normalizePath(raw.endsWith('.md') ? raw : `${raw}.md`) : '';
+  }
+
+  get enabled() {
+    return !!this.path && !!this.plugin.settings.glossaryIndexAutoUpdate;
+  }
+
+  /** Rebuild the list from every generated note (command). Resolves to the number of entries. */
+  async rebuild() {
+    const entries = new Map();
+    for (const file of this.app.vault.getMarkdownFiles()) {
+      if (file.path === this.path) continue;
+      const line = await this._entryLine(file);
+      if (line) entries.set(file.path, line);
+    }
+    await this._apply(() => entries);
+    return entries.size;
+  }
+
+  /** A note changed: refresh its entry a moment later (edits come in bursts). */
+  queueFile(file) {
+    if (!this.enabled || !(file instanceof TFile) || file.extension !== 'md' || file.path === this.path) return;
+    clearTimeout(this.timers.get(file.path));
+    this.timers.set(file.path, setTimeout(() => {
+      this.timers.delete(file.path);
+      this.update(file);
+    }, 2000));
+  }
+
+  async update(file) {
+    const line = await this._entryLine(file);
+    await this._apply((entries) => {
+      if (line) entries.set(file.path, line);
+      else if (!entries.delete(file.path)) return null; // Not a definition and not listed
+      return entries;
+    });
+  }
+
+  rename(file, oldPath) {
+    if (!this.enabled || file.path === this.path) return;
+    this._apply((entries) => {
+      if (!entries.delete(oldPath)) return null;
+      return entries;
+    }).then(() => this.queueFile(file));
+  }
+
+  remove(path) {
+    if (!this.enabled || path === this.path) return;
+    clearTimeout(this.timers.get(path));
+    this.timers.delete(path);
+    this._apply((entries) => (entries.delete(path) ? entries : null));
+  }
+
+  /** Regroup the existing entries (after the "group by" setting changed). */
+  regroup() {
+    if (!(this.app.vault.getAbstractFileByPath(this.path) instanceof TFile)) return Promise.resolve();
+    return this._apply((entries) => entries);
+  }
+
+  flush() {
+    for (const timer of this.timers.values()) clearTimeout(timer);
+    this.timers.clear();
+  }
+
+  /** One list line for `file`, or null if it isn't a generated definition. */
+  async _entryLine(file) {
+    const fm = (this.app.metadataCache.getFileCache(file) || {}).frontmatter;
+    if (!fm || fm.generated !== true) return null;
+    const text = await this.app.vault.cachedRead(file);
+    const sentence = this.plugin._sectionBody(text, 'definition')
+      .replace(/^[-*]\s+/gm, '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .slice(0, 300);
+    const origin = fm.origin ? this.app.vault.getAbstractFileByPath(this.plugin._linkKey(fm.origin, file)) : null;
+    const link = (f) => `[[${f.path.replace(/\.md$/, '')}|${f.basename}]]`;
+    return `- ${link(file)}${sentence ? `: ${sentence}` : ''}${origin instanceof TFile ? ` (from ${link(origin)})` : ''}`;
+  }
+
+  /**
+   * Parse the list, let `mutate` change the path -> line map (returning null means no
+   * change) and write it back grouped. Creates the index note on first use.
+   */
+  _apply(mutate) {
+    const run = async () => {
+      const path = this.path;
+      if (!path) return;
+      let file = this.app.vault.getAbstractFileByPath(path);
+      const text = file instanceof TFile ? await this.app.vault.read(file) : '';
+      const entries = mutate(this._parse(text));
+      if (!entries) return;
+      const next = this._render(text, entries);
+      if (next === text) return;
+      if (file instanceof TFile) {
+        await this.app.vault.process(file, () => next);
+      } else {
+        await this.plugin._ensureFolder(path);
+        file = await this.app.vault.create(path, next);
+      }
+    };
+    this.chain = this.chain.then(run).catch((e) => console.error('Failed to update glossary index', e));
+    return this.chain;
+  }
+
+  _parse(text) {
+    const entries = new Map();
+    const section = this._section(text);
+    if (!section) return entries;
+    for (const line of section.body.split('\n')) {
+      const m = line.match(/^- \[\[([^\]|#]+)(?:[^\]]*)\]\]/);
+      if (!m) continue;
+      const dest = this.app.metadataCache.getFirstLinkpathDest(m[1], this.path);
+      entries.set(dest ? dest.path : `${m[1]}.md`, line);
+    }
+    return entries;
+  }
+
+  /** The marked list inside the index note: { start, end, body } (offsets of the markers). */
+  _section(text) {
+    const start = text.indexOf(GLOSSARY_INDEX_START);
+    const end = text.indexOf(GLOSSARY_INDEX_END, start + 1);
+    if (start === -1 || end === -1) return null;
+    return { start, end: end + GLOSSARY_INDEX_END.length, body: text.slice(start + GLOSSARY_INDEX_START.length, end) };
+  }
+
+  _render(text, entries) {
+    const groupBy = this.plugin.settings.glossaryIndexGroupBy || 'alpha';
+    const groups = new Map();
+    for (const line of entries.values()) {
+      const term = (line.match(/^- \[\[[^\]|]*\|([^\]]*)\]\]/) || [])[1] || line;
+      const group = this._groupOf(line, term, groupBy);
+      if (!groups.has(group)) groups.set(group, []);
+      groups.get(group).push({ term, line });
+    }
+    const compare = (a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' });
+    const lines = [];
+    for (const group of [...groups.keys()].sort(compare)) {
+      lines.push('', `## ${group}`, '');
+      for (const entry of groups.get(group).sort((a, b) => compare(a.term, b.term))) lines.push(entry.line);
+    }
+    const list = `${GLOSSARY_INDEX_START}${lines.join('\n')}\n\n${GLOSSARY_INDEX_END}`;
+    const section = this._section(text);
+    if (section) return `${text.slice(0, section.start)}${list}${text.slice(section.end)}`;
+    const intro = text.trim() ? `${text.trimEnd()}\n\n` : '# Glossary\n\nDefinitions written by Contextual Wiki Definitions. The list below is updated automatically; text outside it is kept.\n\n';
+    return `${intro}${list}\n`;
+  }
+
+  _groupOf(line, term, groupBy) {
+    if (groupBy === 'alpha') {
+      const first = term.trim().charAt(0).toUpperCase();
+      return /\p{L}/u.test(first) ? first : '#';
+    }
+    const m = line.match(/ \(from \[\[([^\]|]+)\|[^\]]*\]\]\)$/);
+    const origin = m ? this.app.metadataCache.getFirstLinkpathDest(m[1], this.path) : null;
+    if (!origin) return 'No origin';
+    if (groupBy === 'folder') return origin.parent && !origin.parent.isRoot() ? origin.parent.path : '/';
+    const cache = this.app.metadataCache.getFileCache(origin);
+    const tags = (cache && obsidian.getAllTags ? obsidian.getAllTags(cache) : []) || [];
+    return tags.length ? tags[0] : 'Untagged';
+  }
+}
+
+/**
+ * Flashcards from generated notes: "What is <term>?" answered by the One-Sentence
+ * Definition, and the Self-check question answered by the definition and key points.
+ * Formats: Spaced Repetition plugin syntax or a plain Q/A deck (both markdown notes in
+ * the vault), or Anki TSV/CSV files. Exports are incremental: markdown decks are compared
+ * card by card with the existing note (unchanged cards keep their review data); Anki
+ * files only contain cards that are new or changed since the last export, as recorded in
+ * flashcards.json in the plugin folder. Each Anki row has a stable GUID, so re-importing
+ * a changed card updates it.
+ */
+class FlashcardExporter {
+  constructor(plugin) {
+    this.plugin = plugin;
+    this.app = plugin.app;
+    this.statePath = `${plugin.manifest.dir}/flashcards.json`;
+  }
+
+  /**
+   * Resolves to { path, written, removed, total } (written = cards emitted this time, removed =
+   * cards of deleted notes dropped from a markdown deck). `all` writes every card to Anki files,
+   * not just new and changed ones.
+   */
+  async export(all) {
+    const format = this.plugin.settings.flashcardFormat || 'sr';
+    const base = (this.plugin.settings.flashcardPath || '').trim().replace(/\.(md|tsv|csv)$/i, '') || 'Flashcards/Definitions';
+    const extension = format === 'anki-tsv' ? 'tsv' : format === 'anki-csv' ? 'csv' : 'md';
+    const path = obsidian.normalizePath(`${base}.${extension}`);
+    const cards = await this.collect();
+    // Markdown decks hold their own state; rewriting unchanged cards would drop review data
+    const { written, removed } = extension === 'md'
+      ? await this._exportDeck(path, cards, format)
+      : { written: await this._exportAnki(path, cards, format, all), removed: 0 };
+    return { path, written, removed, total: cards.length };
+  }
+
+  /** Cards of every note with `generated: true`: { id, term, file, question, answer, points, tag }. */
+  async collect() {
+    const cards = [];
+    const keys = new Set();
+    for (const file of this.app.vault.getMarkdownFiles()) {
+      const fm = (this.app.metadataCache.getFileCache(file) || {}).frontmatter;
+      if (!fm || fm.generated !== true) continue;
+      const text = await this.app.vault.cachedRead(file);
+      const items = (name) => this.plugin._sectionBody(text, name).split('\n')
+        .map((l) => l.replace(/^\s*(?:[-*+]|\d+\.)\s+/, '').trim())
+        .filter((l) => l && !/^\(.*\)$/.test(l)); // Template placeholders
+      const sentence = items('definition').join(' ');
+      if (!sentence) continue;
+      const origin = fm.origin ? this.app.vault.getAbstractFileByPath(this.plugin._linkKey(fm.origin, file)) : null;
+      const tag = this._tag(origin instanceof TFile ? origin : null);
+      // The term, not the file name: naming patterns may have decorated it
+      const aliases = Array.isArray(fm.aliases) ? fm.aliases : fm.aliases ? [fm.aliases] : [];
+      const term = aliases.length > 0 && String(aliases[0]).trim() ? String(aliases[0]).trim() : file.basename;
+      const key = await this._cardKey(file, fm, keys);
+      const card = { term, file, tag };
+      cards.push(Object.assign({ id: this.plugin._hash(`${key}#definition`), question: LANGUAGES[this.plugin._languageCode(fm.lang) || 'en'].question.replace('{{term}}', term), answer: sentence, points: [] }, card));
+      const question = items('selfCheck')[0];
+      if (question) {
+        cards.push(Object.assign({ id: this.plugin._hash(`${key}#self-check`), question, answer: sentence, points: items('keyPoints') }, card));
+      }
+    }
+    return cards;
+  }
+
+  /**
+   * Key the note's card IDs derive from, kept in its `card-id:` frontmatter so a renamed note
+   * keeps its cards. A copy of a note (same key as one seen before) gets a key of its own.
+   */
+  async _cardKey(file, fm, seen) {
+    let key = fm['card-id'] ? String(fm['card-id']) : '';
+    if (!key || seen.has(key)) {
+      key = this.plugin._hash(file.path);
+      if (this.app.fileManager.processFrontMatter) {
+        await this.app.fileManager.processFrontMatter(file, (data) => {
+          data['card-id'] = key;
+        });
+      }
+    }
+    seen.add(key);
+    return key;
+  }
+
+  /** Deck tag from the origin's folder: "flashcards/biology/cells". */
+  _tag(origin) {
+    const root = (this.plugin.settings.flashcardTag || 'flashcards').replace(/^#/, '').trim() || 'flashcards';
+    const folder = origin && origin.parent && !origin.parent.isRoot() ? origin.parent.path : '';
+    const parts = folder.split('/').map((p) => p.trim().toLowerCase().replace(/\s+/g, '-').replace(/[^\p{L}\p{N}_-]/gu, '')).filter(Boolean);
+    return [root, ...parts].join('/');
+  }
+
+  /** Markdown lines of one card, starting with its marker line. */
+  _renderCard(card, format) {
+    const link = `[[${card.file.path.replace(/\.md$/, '')}|${card.term}]]`;
+    const question = card.question.replace(card.term, link);
+    const marker = `%% card:${card.id} %%`;
+    if (format === 'markdown') {
+      const answer = [card.answer, ...card.points.map((p) => `- ${p}`)];
+      return [marker, `**Q:** ${question} #${card.tag}`, `**A:** ${answer.join('\n')}`].join('\n');
+    }
+    // Spaced Repetition: single-line "Q::A" or multi-line with "?" between question and answer
+    if (card.points.length === 0) return [marker, `#${card.tag} ${question}::${card.answer}`].join('\n');
+    return [marker, `#${card.tag} ${question}`, '?', card.answer, ...card.points.map((p) => `- ${p}`)].join('\n');
+  }
+
+  async _exportDeck(path, cards, format) {
+    const file = this.app.vault.getAbstractFileByPath(path);
+    const text = file instanceof TFile ? await this.app.vault.read(file) : '';
+    // Existing cards: marker line up to the next blank line (the SR plugin adds its
+    // scheduling comment right below the answer, so it stays with the card)
+    const blocks = new Map();
+    const blockRe = /^%% card:([a-z0-9]+) %%\n(?:.+\n?)*/gm;
+    let m;
+    while ((m = blockRe.exec(text)) !== null) blocks.set(m[1], { start: m.index, end: m.index + m[0].trimEnd().length, text: m[0].trimEnd() });
+
+    let next = text;
+    let written = 0;
+    const appended = [];
+    const replacements = [];
+    // Cards of notes that were deleted (or are no longer definitions) go away
+    const ids = new Set(cards.map((c) => c.id));
+    for (const [id, block] of blocks) {
+      if (!ids.has(id)) replacements.push({ block, rendered: null });
+    }
+    const removed = replacements.length;
+    for (const card of cards) {
+      const rendered = this._renderCard(card, format);
+      const block = blocks.get(card.id);
+      if (!block) {
+        appended.push(rendered);
+      } else {
+        const withoutSchedule = block.text.replace(/\n?<!--SR:[^>]*-->/g, '');
+        if (withoutSchedule === rendered) continue;
+        // A changed card (or one of a renamed note) keeps its review schedule
+        const schedule = block.text.match(/<!--SR:[^>]*-->/);
+        replacements.push({ block, rendered: schedule ? `${rendered}\n${schedule[0]}` : rendered });
+      }
+      written++;
+    }
+    for (const { block, rendered } of replacements.sort((a, b) => b.block.start - a.block.start)) {
+      next = rendered == null
+        ? `${next.slice(0, block.start)}${next.slice(block.end).replace(/^\n+/, '')}`
+        : `${next.slice(0, block.start)}${rendered}${next.slice(block.end)}`;
+    }
+    if (removed > 0) next = next.trim() ? `${next.trimEnd()}\n` : '';
+    if (appended.length > 0) {
+      const head = next.trim() ? `${next.trimEnd()}\n\n` : `# Flashcards\n\nCards from generated definitions. New and changed cards are added by "Export flashcards".\n\n`;
+      next = `${head}${appended.join('\n\n')}\n`;
+    }
+    if (next === text) return { written: 0, removed: 0 };
+    if (file instanceof TFile) {
+      await this.app.vault.modify(file, next);
+    } else {
+      await this.plugin._ensureFolder(path);
+      await this.app.vault.create(path, next);
+    }
+    return { written, removed };
+  }
+
+  async _exportAnki(path, cards, format, all) {
+    const state = await this._loadState();
+    const exported = state[format] || (state[format] = {});
+    const escape = (s) => s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const field = format === 'anki-csv'
+      ? (s) => `"${s.replace(/"/g, '""')}"`
+      : (s) => s.replace(/[\t\r\n]+/g, ' ');
+    const separator = format === 'anki-csv' ? ',' : '\t';
+    const rows = [];
+    for (const card of cards) {
+      const front = escape(card.question);
+      const back = [escape(card.answer), ...card.points.map((p) => `• ${escape(p)}`)].join('<br>');
+      const tags = card.tag.replace(/\//g, '::');
+      const hash = this.plugin._hash(`${front}\u0000${back}\u0000${tags}`);
+      if (!all && exported[card.id] === hash) continue;
+      exported[card.id] = hash;
+      rows.push([card.id, front, back, tags].map(field).join(separator));
+    }
+    if (rows.length === 0) return 0;
+    const header = [`#separator:${format === 'anki-csv' ? 'comma' : 'tab'}`, '#html:true', '#guid column:1', '#tags column:4'];
+    const content = `${header.join('\n')}\n${rows.join('\n')}\n`;
+    const file = this.app.vault.getAbstractFileByPath(path);
+    if (file instanceof TFile) {
+      await this.app.vault.modify(file, content);
+    } else {
+      await this.plugin._ensureFolder(path);
+      await this.app.vault.create(path, content);
+    }
+    await this._saveState(state);
+    return rows.length;
+  }
+
+  async _loadState() {
+    try {
+      const adapter = this.app.vault.adapter;
+      if (!(await adapter.exists(this.statePath))) return {};
+      const data = JSON.parse(await adapter.read(this.statePath));
+      return (data && data.exported) || {};
+    } catch (e) {
+      console.error('Failed to load flashcard export state', e);
+      return {};
+    }
+  }
+
+  async _saveState(exported) {
+    try {
+      await this.app.vault.adapter.write(this.statePath, JSON.stringify({ version: 1, exported }));
+    } catch (e) {
+      console.error('Failed to save flashcard export state', e);
+    }
+  }
+}
+
+/**
+ * Vault-wide retrieval index stored in index.json in the plugin folder. Notes are split into
+ * heading-aware chunks of about 1,000 characters. BM25 statistics are computed in memory;
+ * in embeddings mode each chunk also stores its vector. Chunks whose vectors are missing
+ * (provider unreachable) are still found lexically.
+ */
+class RetrievalIndex {
+  constructor(plugin) {
+    this.plugin = plugin;
+    this.files = {}; // path -> { mtime, embedding, chunks: [{ heading, text, vector? }] }
+    this.path = `${plugin.manifest.dir}/index.json`;
+    this.timers = new Map(); // path -> debounce timer for reindexing
+    this.saveTimer = null;
+    this.stats = null; // Cached BM25 statistics, rebuilt after any change
+    this.syncing = null;
+  }
+
+  get mode() {
+    return this.plugin.settings.retrievalMode || 'off';
+  }
+
+  /** Identifies the vector space; vectors from another provider/model are recomputed. */
+  get embeddingKey() {
+    const s = this.plugin.settings;
+    return this.mode === 'embeddings' ? `${s.embeddingProvider}:${s.embeddingModel}` : null;
+  }
+
+  async load() {
+    try {
+      const adapter = this.plugin.app.vault.adapter;
+      if (!(await adapter.exists(this.path))) return;
+      const data = JSON.parse(await adapter.read(this.path));
+      this.files = data && data.files && typeof data.files === 'object' ? data.files : {};
+    } catch (e) {
+      console.error('Failed to load retrieval index', e);
+      this.files = {};
+    }
+  }
+
+  async save() {
+    try {
+      await this.plugin.app.vault.adapter.write(this.path, JSON.stringify({ version: 1, files: this.files }));
+    } catch (e) {
+      console.error('Failed to save retrieval index', e);
+    }
+  }
+
+  _scheduleSave() {
+    if (this.saveTimer) clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, 5000);
+  }
+
+  _isStale(file) {
+    const entry = this.files[file.path];
+    if (!entry || entry.mtime !== file.stat.mtime) return true;
+    return this.mode === 'embeddings' && entry.embedding !== this.embeddingKey;
+  }
+
+  /** Bring the index up to date with the vault (new, changed and deleted notes). */
+  async sync() {
+    if (this.mode === 'off') return;
+    if (this.syncing) return this.syncing;
+    this.syncing = (async () => {
+      const notes = this.plugin.app.vault.getMarkdownFiles();
+      const present = new Set(notes.map((f) => f.path));
+      for (const path of Object.keys(this.files)) {
+        if (!present.has(path)) delete this.files[path];
+      }
+      let count = 0;
+      let embed = true;
+      for (const file of notes) {
+        if (this.mode === 'off') break;
+        if (this.plugin._isExcluded(file)) {
+          delete this.files[file.path];
+          continue;
+        }
+        if (!this._isStale(file)) continue;
+        // After one embedding failure, index the rest lexically and retry on the next sync
+        if (!(await this.indexFile(file, embed))) embed = false;
+        count++;
+      }
+      this.stats = null;
+      if (count > 0) await this.save();
+      return present.size;
+    })();
+    try {
+      return await this.syncing;
+    } finally {
+      this.syncing = null;
+    }
+  }
+
+  async rebuild() {
+    if (this.syncing) await this.syncing;
+    this.files = {};
+    this.stats = null;
+    return this.sync();
+  }
+
+  /** Resolves false if the note's chunks could not be embedded. */
+  async indexFile(file, embed = true) {
+    let text = '';
+    try {
+      text = await this.plugin.app.vault.cachedRead(file);
+    } catch (_) {
+      return true;
+    }
+    const chunks = this._chunk(text);
+    const entry = { mtime: file.stat.mtime, embedding: null, chunks };
+    let embedded = true;
+    if (this.mode === 'embeddings' && chunks.length > 0 && embed) {
+      try {
+        // Chunks leave the vault here too, so they are redacted like prompt context
+        const inputs = chunks.map((c) => this.plugin._redact(c.heading ? `${c.heading}\n${c.text}` : c.text, this.plugin._newRedaction()));
+        const vectors = await this.plugin._embed(inputs);
+        chunks.forEach((c, i) => { c.vector = vectors[i].map((v) => Math.round(v * 1e5) / 1e5); });
+        entry.embedding = this.embeddingKey;
+      } catch (e) {
+        console.warn(`[Contextual Wiki Definitions] Could not embed ${file.path}; it stays searchable lexically`, e);
+        embedded = false;
+      }
+    } else if (this.mode === 'embeddings' && chunks.length > 0) {
+      embedded = false;
+    }
+    this.files[file.path] = entry;
+    this.stats = null;
+    this._scheduleSave();
+    return embedded;
+  }
+
+  /** Reindex a note shortly after it stops changing. */
+  queueFile(file) {
+    if (this.mode === 'off' || this.plugin._isExcluded(file)) return;
+    if (this.timers.has(file.path)) clearTimeout(this.timers.get(file.path));
+    this.timers.set(file.path, setTimeout(() => {
+      this.timers.delete(file.path);
+      this.indexFile(file);
+    }, 2000));
+  }
+
+  rename(file, oldPath) {
+    if (this.files[oldPath]) {
+      this.files[file.path] = this.files[oldPath];
+      delete this.files[oldPath];
+      this.stats = null;
+      this._scheduleSave();
+    } else {
+      this.queueFile(file);
+    }
+  }
+
+  remove(path) {
+    if (this.timers.has(path)) {
+      clearTimeout(this.timers.get(path));
+      this.timers.delete(path);
+    }
+    if (!this.files[path]) return;
+    delete this.files[path];
+    this.stats = null;
+    this._scheduleSave();
+  }
+
+  stop() {
+    for (const timer of this.timers.values()) clearTimeout(timer);
+    this.timers.clear();
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+      this.save();
+    }
+  }
+
+  /** Split a note into chunks that never cross a heading and stay near `size` characters. */
+  _chunk(text, size = 1000) {
+    const body = (text || '').replace(/^---\r?\n[\s\S]*?\r?\n---(?:\r?\n|$)/, '');
+    const chunks = [];
+    let heading = '';
+    let current = [];
+    let length = 0;
+    const flush = () => {
+      const joined = current.join('\n\n').trim();
+      if (joined) chunks.push({ heading, text: joined.length > size * 1.5 ? joined.slice(0, size * 1.5) : joined });
+      current = [];
+      length = 0;
+    };
+    for (const block of body.split(/\n\s*\n/)) {
+      const trimmed = block.trim();
+      if (!trimmed) continue;
+      const h = trimmed.match(/^#{1,6}\s+(.+)$/m);
+      if (h && trimmed.startsWith('#')) {
+        flush();
+        heading = h[1].replace(/[#^|[\]]/g, '').trim();
+        const rest = trimmed.split('\n').slice(1).join('\n').trim();
+        if (rest) {
+          current.push(rest);
+          length = rest.length;
+        }
+        continue;
+      }
+      if (length > 0 && length + trimmed.length > size) flush();
+      current.push(trimmed);
+      length += trimmed.length;
+    }
+    flush();
+    return chunks;
+  }
+
+  _tokenize(text) {
+    return (text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter((t) => t.length > 1 && !STOPWORDS.has(t));
+  }
+
+  _bm25Stats() {
+    if (this.stats) return this.stats;
+    const docs = [];
+    const df = new Map();
+    let total = 0;
+    for (const [path, entry] of Object.entries(this.files)) {
+      for (const chunk of entry.chunks || []) {
+        const tokens = this._tokenize(`${chunk.heading} ${chunk.text}`);
+        const tf = new Map();
+        for (const t of tokens) tf.set(t, (tf.get(t) || 0) + 1);
+        for (const t of tf.keys()) df.set(t, (df.get(t) || 0) + 1);
+        docs.push({ path, chunk, tf, length: tokens.length });
+        total += tokens.length;
       }
     }
+    this.stats = { docs, df, avgLength: docs.length ? total / docs.length : 0 };
+    return this.stats;
+  }
 
-    // Fallback to fetch (for compatibility or if requestUrl unavailable)    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 30000);
+  /** Best `k` chunks outside `skip` (a set of paths), as { path, heading, text, score }. */
+  async search(query, k, skip) {
+    if (this.mode === 'off') return [];
+    if (this.syncing) await this.syncing;
+    // Notes excluded after they were indexed stay in the index until the next sync
+    const skipped = { has: (path) => skip.has(path) || this.plugin._isExcluded({ path }) };
+    let scored = null;
+    if (this.mode === 'embeddings') {
+      try {
+        scored = await this._searchVectors(query, skipped);
+      } catch (e) {
+        console.warn('[Contextual Wiki Definitions] Query embedding failed; using lexical search', e);
+      }
+    }
+    if (!scored) scored = this._searchBm25(query, skipped);
+    return scored
+      .sort((x, y) => y.score - x.score)
+      .slice(0, k)
+      .map(({ path, chunk, score }) => ({ path, heading: chunk.heading, text: chunk.text, score }));
+  }
+
+  _searchBm25(query, skip) {
+    const { docs, df, avgLength } = this._bm25Stats();
+    const terms = [...new Set(this._tokenize(query))];
+    const k1 = 1.2;
+    const b = 0.75;
+    const results = [];
+    for (const doc of docs) {
+      if (skip.has(doc.path)) continue;
+      let score = 0;
+      for (const term of terms) {
+        const f = doc.tf.get(term);
+        if (!f) continue;
+        const n = df.get(term);
+        const idf = Math.log(1 + (docs.length - n + 0.5) / (n + 0.5));
+        score += idf * (f * (k1 + 1)) / (f + k1 * (1 - b + b * doc.length / (avgLength || 1)));
+      }
+      if (score > 0) results.push({ path: doc.path, chunk: doc.chunk, score });
+    }
+    return results;
+  }
+
+  async _searchVectors(query, skip) {
+    const [vector] = await this.plugin._embed([query]);
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+    const results = [];
+    for (const [path, entry] of Object.entries(this.files)) {
+      if (skip.has(path) || entry.embedding !== this.embeddingKey) continue;
+      for (const chunk of entry.chunks || []) {
+        if (!chunk.vector || chunk.vector.length !== vector.length) continue;
+        let dot = 0;
+        let len = 0;
+        for (let i = 0; i < vector.length; i++) {
+          dot += vector[i] * chunk.vector[i];
+          len += chunk.vector[i] * chunk.vector[i];
+        }
+        results.push({ path, chunk, score: dot / (norm * (Math.sqrt(len) || 1)) });
+      }
+    }
+    // Nothing embedded yet (e.g. provider was down while indexing): let the caller fall back
+    return results.length > 0 ? results : null;
+  }
+}
+
+/**
+ * Persistent generation queue. Jobs are stored in queue.json in the plugin folder so
+ * unfinished work resumes after a restart. Failed jobs are retried with exponential
+ * backoff plus jitter, never sooner than a provider's Retry-After.
+ */
+class GenerationQueue {
+  constructor(plugin) {
+    this.plugin = plugin;
+    this.jobs = [];
+    this.running = 0;
+    this.listeners = new Set();
+    this.timer = null;
+    this.stopped = false;
+    this.path = `${plugin.manifest.dir}/queue.json`;
+  }
+
+  async load() {
     try {
-      const res = await fetch(url, {
-        ...options,
-        signal: controller.signal
-      });
-      clearTimeout(timeout);
-      return res;
+      const adapter = this.plugin.app.vault.adapter;
+      if (!(await adapter.exists(this.path))) return;
+      const data = JSON.parse(await adapter.read(this.path));
+      this.jobs = (Array.isArray(data.jobs) ? data.jobs : [])
+        .filter((j) => j && j.id && j.targetPath && !j.preview)
+        // Jobs that were running when Obsidian closed start over
+        .map((j) => Object.assign(j, { status: j.status === 'running' ? 'pending' : j.status }));
     } catch (e) {
-      clearTimeout(timeout);
-      throw e;
+      console.error('Failed to load generation queue', e);
     }
   }
 
-  async queryCopilot(prompt) {
-    const licenseKey = this.settings.licenseKey;
-    if (!licenseKey) return null;
-    // Helper to call endpoint using our request wrapper
-    const call = async ({ model, stream, accept }) => {
-      try {
-        const body = JSON.stringify({
-          model,
-          stream: !!stream,
-          temperature: 0.2,
-          messages: [ { role: 'user', content: prompt } ]
+  async save() {
+    try {
+      // Previewed regenerations need the user who asked for them; they don't outlive the session
+      const jobs = this.jobs
+        .filter((j) => !j.preview && (j.status === 'pending' || j.status === 'running' || j.status === 'failed'))
+        .map((j) => {
+          const copy = Object.assign({}, j);
+          delete copy.controller;
+          return copy;
         });
+      await this.plugin.app.vault.adapter.write(this.path, JSON.stringify({ jobs }, null, 2));
+    } catch (e) {
+      console.error('Failed to save generation queue', e);
+    }
+  }
 
-        const res = await this._makeRequest('https://api.brevilabs.com/v1/chat/completions', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Accept': accept || 'application/json',
-            'Authorization': `Bearer ${licenseKey}`,
-          },
-          body: body
-        });
-        return res;
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  _changed() {
+    for (const listener of this.listeners) {
+      try {
+        listener();
       } catch (e) {
-        throw e;
+        console.error('Queue listener failed', e);
       }
-    };
+    }
+    this.save();
+  }
+
+  hasActive(path) {
+    return this.jobs.some((j) => j.targetPath === path && (j.status === 'pending' || j.status === 'running'));
+  }
+
+  /** Add a job unless one for the same note is already pending or running (that one is returned). */
+  enqueue(spec) {
+    const existing = this.jobs.find((j) => j.targetPath === spec.targetPath && (j.status === 'pending' || j.status === 'running'));
+    if (existing) return existing;
+    const job = Object.assign({
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      kind: 'auto',
+      originPath: null,
+      preview: false,
+      force: false,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: 0,
+      error: null,
+      createdAt: Date.now(),
+    }, spec);
+    // Failed jobs for the same note are superseded by the new one
+    this.jobs = this.jobs.filter((j) => !(j.targetPath === job.targetPath && j.status === 'failed'));
+    this.jobs.push(job);
+    this._changed();
+    this.pump();
+    return job;
+  }
 
+  /** Drop a pending or failed job, or abort a running one. */
+  cancel(id, status = 'cancelled') {
+    const job = this.jobs.find((j) => j.id === id);
+    if (!job) return;
+    if (job.status === 'running') {
+      if (job.controller) job.controller.abort();
+      return;
+    }
+    job.status = status;
+    this.jobs = this.jobs.filter((j) => j !== job);
+    this._changed();
+  }
+
+  retry(id) {
+    const job = this.jobs.find((j) => j.id === id);
+    if (!job || job.status !== 'failed') return;
+    // Manual retries overwrite whatever the fallback wrote
+    Object.assign(job, { status: 'pending', attempts: 0, nextAttemptAt: 0, error: null, force: true });
+    this._changed();
+    this.pump();
+  }
+
+  /** Start due jobs up to the concurrency limit, and wake up again for the next scheduled retry. */
+  pump() {
+    if (this.stopped) return;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    const limit = this.plugin.settings.queueConcurrency > 0 ? this.plugin.settings.queueConcurrency : 2;
+    const now = Date.now();
+    for (const job of this.jobs) {
+      if (this.running >= limit) break;
+      if (job.status === 'pending' && job.nextAttemptAt <= now) this._run(job);
+    }
+    const waiting = this.jobs.filter((j) => j.status === 'pending' && j.nextAttemptAt > now);
+    if (waiting.length > 0) {
+      const next = Math.min(...waiting.map((j) => j.nextAttemptAt));
+      this.timer = setTimeout(() => this.pump(), Math.max(50, next - now));
+    }
+  }
+
+  async _run(job) {
+    job.status = 'running';
+    job.controller = new AbortController();
+    this.running++;
+    this._changed();
+    this.plugin._onJobEvent(job, 'start');
     try {
-      // Attempt 1: JSON, non-stream, flash model
-      let res = await call({ model: 'copilot-plus-flash', stream: false, accept: 'application/json' });
-      if (!res.ok) {
-        // SECURITY: Reduce sensitive logging - only log status + short snippet
-        const errorText = await res.text();
-        const snippet = errorText ? errorText.slice(0, 300) : '';
-        console.error('Copilot non-OK response (1)', res.status, snippet + (errorText && errorText.length > 300 ? '...' : ''));
+      const outcome = await this.plugin._executeJob(job);
+      if (this.stopped) return;
+      job.status = outcome.status;
+      job.error = null;
+      this.jobs = this.jobs.filter((j) => j !== job);
+      this.plugin._onJobEvent(job, 'finish', outcome);
+    } catch (e) {
+      if (this.stopped) return;
+      job.attempts++;
+      job.error = e && e.message ? e.message : String(e);
+      console.error('Generation job failed', job.targetPath, job.error);
+      const maxAttempts = this.plugin.settings.maxAttempts > 0 ? this.plugin.settings.maxAttempts : 3;
+      if (!e.permanent && job.attempts < maxAttempts) {
+        const delay = this._backoff(job.attempts, e.retryAfter);
+        job.status = 'pending';
+        job.nextAttemptAt = Date.now() + delay;
+        this.plugin._onJobEvent(job, 'retry', { delay });
       } else {
-        const ct1 = (res.headers.get('content-type') || '').toLowerCase();
-        const text1 = await res.text();
-        // BUG FIX: Handle null/undefined text responses
-        if (!text1) {
-          // Silently continue to next attempt
-        } else {
-          try {
-            const data1 = JSON.parse(text1);
-            const msg1 = data1 && data1.choices && data1.choices[0] && data1.choices[0].message;
-            if (msg1 && msg1.content) return msg1.content.trim();
-            // Silently continue to next attempt - don't log warnings for expected fallback behavior
-          } catch (e1) {
-            if (ct1.includes('text/event-stream') || (text1 && text1.startsWith('data:'))) {
-            let out = '';
-            for (const rawLine of text1.split('\n')) {
-              const line = rawLine.trim();
-              if (!line.startsWith('data:')) continue;
-              const payload = line.slice(5).trim();
-              if (!payload || payload === '[DONE]') continue;
-              try {
-                const evt = JSON.parse(payload);
-                const choice = evt.choices && evt.choices[0];
-                const delta = choice && (choice.delta || choice.message);
-                const chunk = delta && (delta.content || '');
-                if (chunk) out += chunk;
-              } catch (_) {}
-            }
-            if (out.trim()) return out.trim();
-            }
-            // Silently continue to next attempt - don't log parse errors for expected fallback behavior
-          }
-        }
+        job.status = 'failed';
+        const fallback = e.permanent ? false : await this.plugin._onJobExhausted(job);
+        this.plugin._onJobEvent(job, 'failed', { fallback });
       }
-
-      // Attempt 2: SSE stream, flash model
-      try {
-        res = await call({ model: 'copilot-plus-flash', stream: true, accept: 'text/event-stream,*/*' });
-        const text2 = await res.text();
-        let out2 = '';
-        for (const rawLine of text2.split('\n')) {
-          const line = rawLine.trim();
-          if (!line.startsWith('data:')) continue;
-          const payload = line.slice(5).trim();
-          if (!payload || payload === '[DONE]') continue;
-          try {
-            const evt = JSON.parse(payload);
-            const choice = evt.choices && evt.choices[0];
-            const delta = choice && (choice.delta || choice.message);
-            const chunk = delta && (delta.content || '');
-            if (chunk) out2 += chunk;
-          } catch (_) {}
-        }
-        if (out2.trim()) return out2.trim();
-      } catch (e2) {
-        // Silently continue to next attempt
+    } finally {
+      delete job.controller;
+      this.running--;
+      if (!this.stopped) {
+        this._changed();
+        this.pump();
       }
+    }
+  }
 
-      // Attempt 3: JSON, non-stream, non-flash model
-      try {
-        res = await call({ model: 'copilot-plus', stream: false, accept: 'application/json' });
-        const text3 = await res.text();
-        try {
-          const data3 = JSON.parse(text3);
-          const msg3 = data3 && data3.choices && data3.choices[0] && data3.choices[0].message;
-          if (msg3 && msg3.content) return msg3.content.trim();
-        } catch (_) {}
-      } catch (e3) {
-        // Silently continue - only log if all attempts fail
+  /** Exponential backoff (2s, 4s, 8s, … capped at 5 min) with jitter, at least `retryAfter` ms. */
+  _backoff(attempts, retryAfter) {
+    const base = Math.min(300000, 2000 * Math.pow(2, attempts - 1));
+    const jittered = base / 2 + Math.random() * (base / 2);
+    return Math.max(jittered, retryAfter || 0);
+  }
+
+  stop() {
+    // Running jobs stay "running" on disk and resume as pending on the next load
+    this.stopped = true;
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+/** Today's and this month's token usage and cost, per provider/model, plus the last 14 days. */
+class UsageStatsView extends ItemView {
+  constructor(leaf, plugin) {
+    super(leaf);
+    this.plugin = plugin;
+  }
+
+  getViewType() {
+    return USAGE_VIEW_TYPE;
+  }
+
+  getDisplayText() {
+    return 'Token usage and cost';
+  }
+
+  getIcon() {
+    return 'coins';
+  }
+
+  async onOpen() {
+    this.unsubscribe = this.plugin.usage.onChange(() => this.render());
+    this.render();
+  }
+
+  async onClose() {
+    if (this.unsubscribe) this.unsubscribe();
+  }
+
+  render() {
+    const container = this.contentEl;
+    container.empty();
+    container.createEl('h4', { text: 'Token usage and cost' });
+    const settings = this.plugin.settings;
+    const money = (v) => `${settings.currency || '$'}${v.toFixed(v > 0 && v < 0.01 ? 4 : 2)}`;
+    const tokens = (t) => `${(t.promptTokens + t.completionTokens).toLocaleString()} tokens (${t.promptTokens.toLocaleString()} in / ${t.completionTokens.toLocaleString()} out)`;
+
+    const budget = this.plugin._budgetStatus();
+    if (budget.exceeded) container.createEl('p', { text: `${budget.message} Automatic definitions are paused.`, cls: 'mod-warning' });
+
+    for (const [period, title, limit] of [['day', 'Today', settings.dailyBudget], ['month', 'This month', settings.monthlyBudget]]) {
+      const t = this.plugin.usage.totals(period);
+      const used = settings.budgetUnit === 'tokens' ? `${(t.promptTokens + t.completionTokens).toLocaleString()}` : money(t.cost);
+      const limitText = limit > 0 ? ` of ${settings.budgetUnit === 'tokens' ? limit.toLocaleString() : money(limit)} budget` : '';
+      container.createEl('h5', { text: title });
+      new Setting(container)
+        .setName(`${used}${limitText}`)
+        .setDesc(`${t.requests} request${t.requests === 1 ? '' : 's'} · ${tokens(t)} · ${money(t.cost)}${t.estimated ? ` · ${t.estimated} estimated` : ''}`);
+      if (period === 'month') {
+        for (const [key, g] of Object.entries(this.plugin.usage.totals('month', true)).sort((a, b) => b[1].cost - a[1].cost)) {
+          const [provider, ...model] = key.split('/');
+          new Setting(container)
+            .setName(`${PROVIDERS[provider] ? PROVIDERS[provider].label : provider} / ${model.join('/')}`)
+            .setDesc(`${g.requests} requests · ${tokens(g)} · ${money(g.cost)}`);
+        }
       }
+    }
 
-      // Only log error if ALL attempts failed
-      console.warn('Copilot: All API attempts failed. Check your license key and network connection.');
-      return null;
-    } catch (e) {
-      console.error('Copilot request failed', e);
-      return null;
+    container.createEl('h5', { text: 'Last 14 days' });
+    const list = container.createEl('ul');
+    for (let i = 0; i < 14; i++) {
+      const day = UsageLedger.dayKey(new Date(Date.now() - i * 24 * 60 * 60 * 1000));
+      const bucket = this.plugin.usage.days[day];
+      if (!bucket) continue;
+      const t = Object.values(bucket).reduce((s, x) => ({
+        requests: s.requests + x.requests,
+        tokens: s.tokens + x.promptTokens + x.completionTokens,
+        cost: s.cost + x.cost,
+      }), { requests: 0, tokens: 0, cost: 0 });
+      list.createEl('li', { text: `${day}: ${t.requests} requests, ${t.tokens.toLocaleString()} tokens, ${money(t.cost)}` });
     }
+    if (list.childElementCount === 0) list.createEl('li', { text: 'No requests yet.' });
   }
+}
 
-  async loadSettings() {
-    const loaded = await this.loadData();    this.settings = Object.assign({
-      licenseKey: '',
-      allowCodeBlocks: false, // SECURITY: Default OFF - strip all code blocks
-      allowRawHTML: false, // SECURITY: Default OFF - strip HTML tags
-      maxOutputLength: 60000 // SECURITY: Cap output to prevent huge writes
-    }, loaded);  }
+/** Definitions flagged `stale:` because their origin changed, with regenerate buttons. */
+class StaleDefinitionsView extends ItemView {
+  constructor(leaf, plugin) {
+    super(leaf);
+    this.plugin = plugin;
+    this.renderTimer = null;
+  }
 
-  async saveSettings() {
-    await this.saveData(this.settings);
+  getViewType() {
+    return STALE_VIEW_TYPE;
   }
 
-  /**
-   * SECURITY: Sanitize remote API output before writing to notes
-   * Strips dangerous executable surfaces (code blocks, HTML tags) unless explicitly allowed
-   */
-  _sanitizeOutput(text) {
-    if (!text) return text;
-    let sanitized = text;
-    const originalLength = text.length;
-    const hadCodeBlocks = /```[\s\S]*?```/.test(text);
-    const hadScriptTags = /<script[\s\S]*?<\/script>/gi.test(text);
-
-    // SECURITY: Remove fenced code blocks (especially dataviewjs, javascript, etc.)
-    if (!this.settings.allowCodeBlocks) {
-      // Match code blocks with any language identifier or no identifier
-      sanitized = sanitized.replace(/```[\s\S]*?```/g, '');
-      // Also remove inline code that might be dangerous (conservative approach)
-      // But keep inline code for now as it's less risky - only fenced blocks are executable
-    }
-
-    // SECURITY: Remove dangerous HTML tags
-    if (!this.settings.allowRawHTML) {
-      // Remove script, iframe, object, embed tags and their content
-      sanitized = sanitized.replace(/<script[\s\S]*?<\/script>/gi, '');
-      sanitized = sanitized.replace(/<iframe[\s\S]*?<\/iframe>/gi, '');
-      sanitized = sanitized.replace(/<object[\s\S]*?<\/object>/gi, '');
-      sanitized = sanitized.replace(/<embed[\s\S]*?>/gi, '');
-      // Remove other potentially dangerous tags
-      sanitized = sanitized.replace(/<style[\s\S]*?<\/style>/gi, '');
-    }
+  getDisplayText() {
+    return 'Stale definitions';
+  }
 
-    // SECURITY: Cap output length to prevent huge writes
-    const maxLen = this.settings.maxOutputLength || 60000;
-    const wasTruncated = sanitized.length > maxLen;
-    if (sanitized.length > maxLen) {
-      sanitized = sanitized.slice(0, maxLen) + '\n\n*(Output truncated for safety)*';
-    }    return sanitized;
+  getIcon() {
+    return 'clock';
   }
-  _truncateContext(text) {
-    const max = 20000; // chars
-    if (!text) return '';
-    return text.length > max ? text.slice(0, max) : text;
+
+  async onOpen() {
+    // Flags are frontmatter, so the metadata cache tells us when they change
+    this.registerEvent(this.app.metadataCache.on('changed', () => this._queueRender()));
+    this.registerEvent(this.app.vault.on('delete', () => this._queueRender()));
+    this.registerEvent(this.app.vault.on('rename', () => this._queueRender()));
+    this.render();
   }
 
-  _isRecentlyProcessed(path) {
-    return this._recentlyProcessed.has(path);
+  async onClose() {
+    clearTimeout(this.renderTimer);
   }
 
-  _markProcessed(path) {
-    this._recentlyProcessed.add(path);
-    setTimeout(() => this._recentlyProcessed.delete(path), 5000);
+  _queueRender() {
+    clearTimeout(this.renderTimer);
+    this.renderTimer = setTimeout(() => this.render(), 500);
   }
-};
 
-class ContextualDefinitionSettingTab extends PluginSettingTab {
-  constructor(app, plugin) {
-    super(app, plugin);
+  render() {
+    const container = this.contentEl;
+    container.empty();
+    container.createEl('h4', { text: 'Stale definitions' });
+    const stale = this.plugin._staleDefinitions();
+    new Setting(container)
+      .setDesc(stale.length
+        ? `${stale.length} definition${stale.length > 1 ? 's' : ''} no longer match${stale.length > 1 ? '' : 'es'} the origin note.`
+        : 'No stale definitions.')
+      .addButton(button => button
+        .setButtonText('Check all')
+        .setTooltip('Compare every generated definition with its origin now')
+        .onClick(async () => {
+          button.setDisabled(true);
+          const count = await this.plugin.checkAllStaleness();
+          new Notice(`${count} stale definition${count === 1 ? '' : 's'}.`);
+          button.setDisabled(false);
+        }))
+      .addButton(button => button
+        .setButtonText('Regenerate all')
+        .setCta()
+        .setDisabled(stale.length === 0)
+        .onClick(() => this.plugin.regenerateStale(stale)));
+
+    for (const entry of stale) {
+      new Setting(container)
+        .setName(entry.file.basename)
+        .setDesc(`${entry.reason}${entry.origin ? ` · from ${entry.origin.basename}` : ''}`)
+        .addButton(button => button
+          .setButtonText('Open')
+          .onClick(() => this.app.workspace.getLeaf(false).openFile(entry.file)))
+        .addButton(button => button
+          .setButtonText('Regenerate')
+          .onClick(() => this.plugin.regenerateStale([entry])));
+    }
+  }
+}
+
+/** Versions of the active note, with diffs between them and a restore button per version. */
+class DefinitionHistoryView extends ItemView {
+  constructor(leaf, plugin) {
+    super(leaf);
     this.plugin = plugin;
-    this.showLicenseKey = false; // Track reveal state for license key
+    this.file = null;
+    this.open = new Set(); // ids whose diff is expanded, as "id:against"
   }
 
-  display() {
-    const { containerEl } = this;
-    containerEl.empty();
-    containerEl.createEl('h2', { text: 'Contextual Wiki Definitions Settings' });
+  getViewType() {
+    return HISTORY_VIEW_TYPE;
+  }
 
-    // SECURITY: Mask license key with password field + reveal toggle
-    const licenseKeySetting = new Setting(containerEl)
-      .setName('Copilot License Key')
-      .setDesc('Believer or Plus license key used for definition generation');
+  getDisplayText() {
+    return 'Definition history';
+  }
 
-    let licenseKeyInput;
-    licenseKeySetting.addText(text => {
-      licenseKeyInput = text;
-      text.inputEl.type = 'password'; // SECURITY: Mask by default
-      text.setPlaceholder('enter your Copilot key')
-        .setValue(this.plugin.settings.licenseKey)
-        .onChange(async (value) => {
-          this.plugin.settings.licenseKey = value.trim();
-          await this.plugin.saveSettings();
-        });
+  getIcon() {
+    return 'history';
+  }
+
+  async onOpen() {
+    this.unsubscribe = this.plugin.history.onChange(() => this.render());
+    this.registerEvent(this.app.workspace.on('file-open', (file) => {
+      if (file && file.extension === 'md') {
+        this.file = file;
+        this.open.clear();
+        this.render();
+      }
+    }));
+    this.file = this.app.workspace.getActiveFile();
+    this.render();
+  }
+
+  async onClose() {
+    if (this.unsubscribe) this.unsubscribe();
+  }
+
+  async render() {
+    const container = this.contentEl;
+    container.empty();
+    container.createEl('h4', { text: 'Definition history' });
+    const file = this.file;
+    if (!file) {
+      container.createEl('p', { text: 'Open a note to see its versions.', cls: 'setting-item-description' });
+      return;
+    }
+    container.createEl('p', { text: file.basename, cls: 'setting-item-description' });
+    const versions = this.plugin.history.versions(file.path);
+    if (versions.length === 0) {
+      container.createEl('p', { text: 'No generated versions of this note yet.', cls: 'setting-item-description' });
+      return;
+    }
+    const current = await this.app.vault.read(file);
+    if (this.file !== file) return; // Switched notes while reading
+
+    const labels = { before: 'Before generation', restored: 'Restored', offline: 'Offline', define: 'Define this' };
+    versions.forEach((version, index) => {
+      const older = versions[index + 1];
+      const details = [];
+      if (version.provider && version.provider !== 'offline') {
+        details.push(`${PROVIDERS[version.provider] ? PROVIDERS[version.provider].label : version.provider}${version.model ? ` / ${version.model}` : ''}`);
+      }
+      if (version.origin) details.push(`from ${version.origin.replace(/\.md$/, '')}`);
+      if (version.promptHash) details.push(`prompt ${version.promptHash}`);
+      if (version.output === current) details.push('current');
+      const kind = labels[version.kind] || version.kind;
+      const row = new Setting(container)
+        .setName(`${new Date(version.timestamp).toLocaleString()} · ${kind}`)
+        .setDesc(details.join(' · '));
+      if (older) {
+        row.addButton(button => button
+          .setButtonText('Changes')
+          .setTooltip('Compare with the previous version')
+          .onClick(() => this._toggle(`${version.id}:previous`)));
+      }
+      if (version.output !== current) {
+        row.addButton(button => button
+          .setButtonText('Compare')
+          .setTooltip('Compare with the note as it is now')
+          .onClick(() => this._toggle(`${version.id}:current`)));
+        row.addButton(button => button
+          .setButtonText('Restore')
+          .onClick(() => {
+            new ConfirmModal(this.app, {
+              title: 'Restore this version?',
+              message: `"${file.basename}" will be replaced with the version from ${new Date(version.timestamp).toLocaleString()}. The current text stays in the history.`,
+              confirmText: 'Restore',
+            }, async (confirmed) => {
+              if (confirmed) await this.plugin.restoreVersion(file, version);
+            }).open();
+          }));
+      }
+      if (older && this.open.has(`${version.id}:previous`)) this._renderDiff(container, older.output, version.output);
+      if (this.open.has(`${version.id}:current`)) this._renderDiff(container, version.output, current);
     });
+  }
 
-    // Add reveal/hide toggle button
-    licenseKeySetting.addButton(button => {
-      button.setButtonText(this.showLicenseKey ? 'Hide' : 'Reveal')
-        .setCta(false)
-        .onClick(() => {
-          this.showLicenseKey = !this.showLicenseKey;
-          licenseKeyInput.inputEl.type = this.showLicenseKey ? 'text' : 'password';
-          button.setButtonText(this.showLicenseKey ? 'Hide' : 'Reveal');
-        });
+  _toggle(key) {
+    if (this.open.has(key)) this.open.delete(key);
+    else this.open.add(key);
+    this.render();
+  }
+
+  /** Changed lines with two lines of context; long unchanged stretches are collapsed. */
+  _renderDiff(container, before, after) {
+    const parts = this.plugin._diffLines(before, after);
+    const pre = container.createEl('pre', { cls: 'cwd-diff-cell cwd-history-diff' });
+    const near = (i) => parts.slice(Math.max(0, i - 2), i + 3).some((p) => p.type !== 'same');
+    let skipped = false;
+    parts.forEach((part, i) => {
+      if (part.type === 'same' && !near(i)) {
+        if (!skipped) pre.createDiv({ text: '…', cls: 'cwd-diff-status' });
+        skipped = true;
+        return;
+      }
+      skipped = false;
+      const prefix = part.type === 'add' ? '+ ' : part.type === 'del' ? '- ' : '  ';
+      pre.createDiv({ text: `${prefix}${part.line}`, cls: part.type === 'same' ? '' : `cwd-diff-${part.type}` });
     });
+    if (!parts.some((p) => p.type !== 'same')) pre.createDiv({ text: 'No changes.', cls: 'cwd-diff-status' });
+  }
+}
 
-    // SECURITY: Output sanitization settings
-    new Setting(containerEl)
-      .setName('Allow code blocks in output')
-      .setDesc('If enabled, code blocks (including dataviewjs, javascript, etc.) will be preserved in generated definitions. Default: OFF for security.')
-      .addToggle(toggle => toggle
-        .setValue(this.plugin.settings.allowCodeBlocks)
-        .onChange(async (value) => {
-          this.plugin.settings.allowCodeBlocks = value;
-          await this.plugin.saveSettings();
-        }));
+class GenerationQueueView extends ItemView {
+  constructor(leaf, plugin) {
+    super(leaf);
+    this.plugin = plugin;
+  }
 
-    new Setting(containerEl)
-      .setName('Allow raw HTML in output')
-      .setDesc('If enabled, HTML tags will be preserved in generated definitions. Default: OFF for security.')
-      .addToggle(toggle => toggle
-        .setValue(this.plugin.settings.allowRawHTML)
-        .onChange(async (value) => {
-          this.plugin.settings.allowRawHTML = value;
-          await this.plugin.saveSettings();
-        }));
+  getViewType() {
+    return QUEUE_VIEW_TYPE;
+  }
 
-    new Setting(containerEl)
-      .setName('Maximum output length')
-      .setDesc('Maximum characters allowed in generated definitions (default: 60000). Longer outputs will be truncated.')
-      .addText(text => text
-        .setPlaceholder('60000')
-        .setValue(String(this.plugin.settings.maxOutputLength || 60000))
-        .onChange(async (value) => {
-          const num = parseInt(value, 10);
-          if (!isNaN(num) && num > 0) {
-            this.plugin.settings.maxOutputLength = num;
-            await this.plugin.saveSettings();
-          }
-        }));
+  getDisplayText() {
+    return 'Definition queue';
   }
-}
 
-class OriginNoteSuggestModal extends SuggestModal {
-  constructor(app, files, onChoose) {
-    super(app);
-    this.files = files || [];
-    this.onChoose = onChoose;
-    this.setPlaceholder('Type to search origin note…');
+  getIcon() {
+    return 'list-ordered';
   }
 
-  getSuggestions(query) {
-    const q = (query || '').toLowerCase();
-    return this.files
-      .filter((f) => f.basename.toLowerCase().includes(q) || f.path.toLowerCase().includes(q))
-      .slice(0, 100);
+  async onOpen() {
+    this.unsubscribe = this.plugin.queue.onChange(() => this.render());
+    this.render();
   }
 
-  renderSuggestion(file, el) {
-    el.createEl('div', { text: file.basename });
-    el.createEl('small', { text: file.path, cls: 'mod-muted' });
+  async onClose() {
+    if (this.unsubscribe) this.unsubscribe();
   }
 
-  onChooseSuggestion(file) {
-    if (typeof this.onChoose === 'function') {
-      this.onChoose(file);
+  render() {
+    const container = this.contentEl;
+    container.empty();
+    container.createEl('h4', { text: 'Definition queue' });
+    const jobs = this.plugin.queue.jobs;
+    if (jobs.length === 0) {
+      container.createEl('p', { text: 'No pending, running or failed generations.', cls: 'setting-item-description' });
+      return;
+    }
+    for (const status of ['running', 'pending', 'failed']) {
+      const group = jobs.filter((j) => j.status === status);
+      if (group.length === 0) continue;
+      container.createEl('h5', { text: `${status[0].toUpperCase()}${status.slice(1)} (${group.length})` });
+      for (const job of group) {
+        const details = [job.kind];
+        if (job.originPath) details.push(`from ${job.originPath}`);
+        if (job.attempts) details.push(`attempt ${job.attempts + (status === 'failed' ? 0 : 1)}`);
+        if (status === 'pending' && job.nextAttemptAt > Date.now()) details.push(`next try ${new Date(job.nextAttemptAt).toLocaleTimeString()}`);
+        if (job.error) details.push(job.error);
+        const row = new Setting(container)
+          .setName(job.targetPath.replace(/\.md$/, ''))
+          .setDesc(details.join(' · '));
+        if (status === 'failed') {
+          row.addButton(button => button
+            .setButtonText('Retry')
+            .onClick(() => this.plugin.queue.retry(job.id)));
+        }
+        row.addButton(button => button
+          .setButtonText('Cancel')
+          .onClick(() => this.plugin.queue.cancel(job.id)));
+      }
     }
   }
 }
